@@ -3,21 +3,56 @@
 
 const STORAGE_KEY = "exam_simulator_static_v2";
 const QUIZ_SOURCE_KEY = "quiz_source";
+const LANGUAGE_KEY = "quiz_language";
+const SHUFFLE_CHOICES_KEY = "quiz_shuffle_choices";
+const SMART_PRACTICE_KEY = "quiz_smart_practice";
+const MIXED_AI_SHARE_KEY = "quiz_mixed_ai_share";
+const REVIEW_STORAGE_KEY = "exam_simulator_reviews_v1";
+const HISTORY_STORAGE_KEY = "exam_simulator_history_v1";
+const BLUEPRINT_STORAGE_KEY = "exam_simulator_blueprints_v1";
+const SCORING_STORAGE_KEY = "exam_simulator_scoring_v1";
+const NOTES_STORAGE_KEY = "exam_simulator_notes_v1";
+const REPORTS_STORAGE_KEY = "exam_simulator_reports_v1";
+const MISTAKES_STORAGE_KEY = "exam_simulator_mistakes_v1";
+const MISTAKE_CLEAR_STREAK_KEY = "quiz_mistake_clear_streak";
+const CLUSTER_CACHE_KEY = "exam_simulator_clusters_v1";
+const REPORT_CATEGORIES = [
+  { id: "wrong_key", label: "Wrong answer key" },
+  { id: "typo", label: "Typo / OCR noise" },
+  { id: "ambiguous", label: "Ambiguous" },
+  { id: "outdated_law", label: "Outdated law" }
+];
+const OVERRIDES_FORMAT = "iapp-e-quiz-question-overrides";
+const BACKUP_FORMAT = "iapp-e-quiz-backup";
+const BACKUP_VERSION = 1;
+const MAX_HISTORY_ENTRIES = 200;
+const TREND_ATTEMPTS = 30;
 const DEFAULT_QUESTION_COUNT = 90;
 const DEFAULT_TIMER_MINUTES = 150;
 const LEGACY_SOURCE = "legacy";
 const AI_SOURCE = "ai";
 const MIXED_SOURCE = "mixed";
+const DEFAULT_MIXED_AI_SHARE = 50; // percent of a Mixed draw taken from the AI pool
+// Version of the random draw, recorded in shared paper links. 1: uniform shuffle and
+// an even Mixed split; 2: stratified sampling, AI share and near-duplicate skipping.
+const DRAW_VERSION = 2;
 const EXAM_MODE = "exam";
 const FEEDBACK_MODE = "feedback";
+const STUDY_MODE = "study";
 const FEEDBACK_NEXT_DELAY_MS = 900;
 
 let bank = null;     // {questions:[...]}
-let attempt = null;  // {id, createdAt, questionIds:[...], answers:{qid:'A'|'B'...}, submitted:boolean, results?}
+let attempt = null;  // {id, createdAt, questionIds:[...], answers:{qid:'A'|['A','C']...}, submitted:boolean, results?}
 let currentIndex = 0;
 let timerIntervalId = null;
-
-const SECTION_IDS = ["home", "exam", "results"];
+let reviewedAttempt = null; // archived attempt opened from the dashboard, shown instead of `attempt` in results
+let reviewBank = null;      // mixed bank loaded on demand to review archived attempts from another source
+let pendingSharedPaper = null; // { seed, drawVersion, aiShare } from a shared paper link, used by the next Start
+let gdprArticlesPromise = null; // gdpr_knowledge.json, fetched the first time an article panel opens
+
+const SECTION_IDS = ["home", "exam", "submitReview", "results", "dashboard", "browse"];
+const BROWSE_PAGE_SIZE = 50;
+let browseVisibleCount = BROWSE_PAGE_SIZE;
 const VIEW_TRANSITION_MS = 145;
 let isViewTransitioning = false;
 
@@ -62,6 +97,17 @@ function saveQuizSource(source) {
   safeStorageSet(QUIZ_SOURCE_KEY, source);
 }
 
+// Saved choice first; on a first visit, Polish browsers get the Polish UI.
+function loadLanguage() {
+  const raw = safeStorageGet(LANGUAGE_KEY);
+  if (raw) return normalizeLanguage(raw);
+  return normalizeLanguage(navigator.language);
+}
+
+function saveLanguage(language) {
+  safeStorageSet(LANGUAGE_KEY, language);
+}
+
 function getSelectedQuizSource() {
   const ai = $("quizSourceAi");
   const mixed = $("quizSourceMixed");
@@ -76,17 +122,245 @@ function setSelectedQuizSource(source) {
   if (legacyInput) legacyInput.checked = source === LEGACY_SOURCE;
   if (aiInput) aiInput.checked = source === AI_SOURCE;
   if (mixedInput) mixedInput.checked = source === MIXED_SOURCE;
+  updateMixedShareControl();
+}
+
+function loadShuffleChoicesPreference() {
+  return safeStorageGet(SHUFFLE_CHOICES_KEY) === "1";
+}
+
+function saveShuffleChoicesPreference(enabled) {
+  safeStorageSet(SHUFFLE_CHOICES_KEY, enabled ? "1" : "0");
+}
+
+function loadSmartPracticePreference() {
+  return safeStorageGet(SMART_PRACTICE_KEY) === "1";
+}
+
+function saveSmartPracticePreference(enabled) {
+  safeStorageSet(SMART_PRACTICE_KEY, enabled ? "1" : "0");
+}
+
+function normalizeMixedAiShare(value) {
+  const share = Math.round(Number(value));
+  return Number.isFinite(share) ? Math.min(100, Math.max(0, share)) : DEFAULT_MIXED_AI_SHARE;
+}
 
+function loadMixedAiShare() {
+  const raw = safeStorageGet(MIXED_AI_SHARE_KEY);
+  return raw == null ? DEFAULT_MIXED_AI_SHARE : normalizeMixedAiShare(raw);
+}
+
+function saveMixedAiShare(share) {
+  safeStorageSet(MIXED_AI_SHARE_KEY, String(normalizeMixedAiShare(share)));
+}
+
+function updateMixedShareControl() {
+  const row = $("mixedShareRow");
+  if (!row) return;
+  const share = loadMixedAiShare();
+  row.style.display = getSelectedQuizSource() === MIXED_SOURCE ? "" : "none";
+  $("mixedAiShare").value = String(share);
+  $("mixedShareValue").textContent = t("source.mixedShare", { ai: formatPercent(share), legacy: formatPercent(100 - share) });
 }
 
 function getSelectedQuizMode() {
   const feedbackModeInput = $("quizModeFeedback");
+  const studyModeInput = $("quizModeStudy");
+  if (studyModeInput && studyModeInput.checked) return STUDY_MODE;
   return feedbackModeInput && feedbackModeInput.checked ? FEEDBACK_MODE : EXAM_MODE;
 }
 
+// Feedback and Study both evaluate each answer immediately; only Feedback awards points.
+function usesInstantFeedback(mode) {
+  return mode === FEEDBACK_MODE || mode === STUDY_MODE;
+}
+
+function loadReviewRecords() {
+  try {
+    const raw = safeStorageGet(REVIEW_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveReviewRecords(records) {
+  safeStorageSet(REVIEW_STORAGE_KEY, JSON.stringify(records));
+}
+
+function loadAttemptHistory() {
+  try {
+    const raw = safeStorageGet(HISTORY_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return Array.isArray(parsed) ? parsed.filter(entry => entry && typeof entry === "object" && entry.summary) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveAttemptHistory(entries) {
+  safeStorageSet(HISTORY_STORAGE_KEY, JSON.stringify(entries.slice(-MAX_HISTORY_ENTRIES)));
+}
+
+function loadBlueprints() {
+  try {
+    const raw = safeStorageGet(BLUEPRINT_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return Array.isArray(parsed)
+      ? parsed.filter(item => item && typeof item.name === "string" && Array.isArray(item.rules))
+      : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveBlueprints(blueprints) {
+  safeStorageSet(BLUEPRINT_STORAGE_KEY, JSON.stringify(blueprints));
+}
+
+// Null when the scoring module is not loaded; otherwise the saved model with
+// defaults filled in by normalizeScoringModel().
+function loadScoringModel() {
+  if (typeof window.normalizeScoringModel !== "function") return null;
+  try {
+    const raw = safeStorageGet(SCORING_STORAGE_KEY);
+    return window.normalizeScoringModel(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    return window.normalizeScoringModel(null);
+  }
+}
+
+function saveScoringModel(model) {
+  safeStorageSet(SCORING_STORAGE_KEY, JSON.stringify(model));
+}
+
+function loadQuestionNotes() {
+  try {
+    const raw = safeStorageGet(NOTES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveQuestionNotes(notes) {
+  safeStorageSet(NOTES_STORAGE_KEY, JSON.stringify(notes));
+}
+
+function getQuestionNote(qid) {
+  const note = loadQuestionNotes()[qid];
+  return note && typeof note.text === "string" && note.text.trim() ? note : null;
+}
+
+// Notes are keyed by question id, so they follow the question across attempts.
+function setQuestionNote(qid, text) {
+  const notes = loadQuestionNotes();
+  const trimmed = String(text || "").trim();
+  if (trimmed) notes[qid] = { text: trimmed, updatedAt: Date.now() };
+  else delete notes[qid];
+  saveQuestionNotes(notes);
+}
+
+function loadIssueReports() {
+  try {
+    const raw = safeStorageGet(REPORTS_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveIssueReports(reports) {
+  safeStorageSet(REPORTS_STORAGE_KEY, JSON.stringify(reports));
+}
+
+function loadMistakeDeck() {
+  try {
+    const raw = safeStorageGet(MISTAKES_STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+function saveMistakeDeck(deck) {
+  safeStorageSet(MISTAKES_STORAGE_KEY, JSON.stringify(deck));
+}
+
+function loadMistakeClearStreak() {
+  const fallback = window.DEFAULT_MISTAKE_CLEAR_STREAK || 2;
+  const raw = safeStorageGet(MISTAKE_CLEAR_STREAK_KEY);
+  return typeof window.normalizeMistakeClearStreak === "function"
+    ? window.normalizeMistakeClearStreak(raw ?? fallback)
+    : fallback;
+}
+
+function saveMistakeClearStreak(value) {
+  safeStorageSet(MISTAKE_CLEAR_STREAK_KEY, String(value));
+}
+
+// Every finished attempt feeds the mistake deck, whatever its mode or how it was drawn.
+function recordAttemptMistakes(finishedAttempt) {
+  if (typeof window.updateMistakeDeck !== "function" || !finishedAttempt?.results) return;
+  const { deck } = window.updateMistakeDeck(loadMistakeDeck(), finishedAttempt.results, loadMistakeClearStreak());
+  saveMistakeDeck(deck);
+  renderMistakeDeckInfo();
+}
+
+// The archived shape of a finished attempt: what history, the dashboard and
+// backups read, without the live state (feedback, dwell timers, position).
+function toHistoryEntry(finishedAttempt, { finishedAt, summary }) {
+  const modes = [EXAM_MODE, FEEDBACK_MODE, STUDY_MODE];
+  const sources = [LEGACY_SOURCE, AI_SOURCE, MIXED_SOURCE];
+  return {
+    id: finishedAttempt.id,
+    createdAt: finishedAttempt.createdAt,
+    startedAt: finishedAttempt.startedAt,
+    finishedAt,
+    mode: modes.includes(finishedAttempt.mode) ? finishedAttempt.mode : EXAM_MODE,
+    sourceType: sources.includes(finishedAttempt.sourceType) ? finishedAttempt.sourceType : LEGACY_SOURCE,
+    questionIds: finishedAttempt.questionIds,
+    answers: finishedAttempt.answers || {},
+    results: finishedAttempt.results,
+    summary,
+    seed: finishedAttempt.seed || null,
+    drawVersion: finishedAttempt.drawVersion || null,
+    blueprint: finishedAttempt.blueprint || null,
+    drill: finishedAttempt.drill || null,
+    smartPractice: !!finishedAttempt.smartPractice,
+    composition: finishedAttempt.composition || null,
+    timerEnabled: !!finishedAttempt.timerEnabled,
+    timerMinutes: finishedAttempt.timerMinutes || null,
+    choiceOrderByQid: finishedAttempt.choiceOrderByQid || {},
+    flagged: finishedAttempt.flagged || {}
+  };
+}
+
+// Archiving the same attempt again replaces its entry but keeps the first finish
+// time and duration, so re-opening an attempt does not stretch its history time.
+function archiveAttempt(finishedAttempt) {
+  if (!finishedAttempt || !finishedAttempt.submitted || !finishedAttempt.summary) return;
+
+  const history = loadAttemptHistory();
+  const previous = history.find(item => item.id === finishedAttempt.id);
+  const entry = toHistoryEntry(finishedAttempt, {
+    finishedAt: previous?.finishedAt || Date.now(),
+    summary: previous?.summary
+      ? { ...finishedAttempt.summary, elapsedSeconds: previous.summary.elapsedSeconds }
+      : finishedAttempt.summary
+  });
+
+  saveAttemptHistory([...history.filter(item => item.id !== entry.id), entry]);
+  updateSmartPracticeInfo();
+}
+
 function toLegacyQuestion(aiItem, index) {
-  const labels = ["A", "B", "C", "D"];
-  const choices = Array.isArray(aiItem.choices) ? aiItem.choices.slice(0, 4) : [];
+  const answerKey = typeof window.toBankAnswerKey === "function" ? window.toBankAnswerKey(aiItem) : { choices: [] };
   return {
     id: aiItem.id || `ai_${String(index + 1).padStart(6, "0")}`,
     exam: "AI",
@@ -94,21 +368,90 @@ function toLegacyQuestion(aiItem, index) {
     scenario_id: null,
     scenario_text: null,
     text: aiItem.question || "",
-    choices: choices.map((choiceText, choiceIndex) => ({
-      label: labels[choiceIndex],
-      text: choiceText,
-      is_correct: choiceIndex === aiItem.correct_index
-    })),
-    correct_label: labels[aiItem.correct_index] || null,
+    ...answerKey,
+    topic: aiItem.topic || null,
+    difficulty: aiItem.difficulty || null,
+    confidence: Number.isFinite(Number(aiItem.confidence)) ? Number(aiItem.confidence) : null,
+    article_ref: aiItem.article_ref || null,
+    explanation: aiItem.explanation || null,
+    rationale_short: aiItem.rationale_short || null,
+    review_reasons: normalizeReviewReasons(aiItem.review_reasons),
     source: aiItem.source || {}
   };
 }
 
+function isMultipleResponse(q) {
+  return q?.question_type === "multiple";
+}
+
+// The keyed answer in the shape answers are stored in: one label, or a sorted
+// list of labels for multiple-response questions (from `correct_labels`, or the
+// `is_correct` choices when a bank question only flags its choices).
+function getCorrectAnswer(q) {
+  if (!q) return null;
+  if (!isMultipleResponse(q)) return q.correct_label ?? null;
+  const labels = Array.isArray(q.correct_labels) && q.correct_labels.length
+    ? q.correct_labels
+    : (q.choices || []).filter(choice => choice.is_correct).map(choice => choice.label);
+  return labels.map(String).sort();
+}
+
+function isLabelSelected(answer, label) {
+  return Array.isArray(answer) ? answer.includes(label) : answer === label;
+}
+
+function getMultipleResponseScheme() {
+  return loadScoringModel()?.multipleResponse || "all_or_nothing";
+}
+
+// { status, credit } for a stored answer; credit is fractional only for partly
+// correct multiple-response answers under partial-credit scoring.
+function gradeAnswer(q, your, scheme = getMultipleResponseScheme()) {
+  if (typeof window.scoreResponse === "function") return window.scoreResponse(getCorrectAnswer(q), your, scheme);
+  if (!your) return { status: "unanswered", credit: 0 };
+  return your === q?.correct_label ? { status: "correct", credit: 1 } : { status: "wrong", credit: 0 };
+}
+
+function normalizeReviewReasons(reasons) {
+  return Array.isArray(reasons) ? reasons.filter(reason => typeof reason === "string" && reason.trim()) : [];
+}
+
+// Expands a grouped record (`kind: "scenario"`, written by
+// `scripts/ai_correct_questions.js --scenario-mode group`) into scenario siblings.
+function expandScenarioRecord(record) {
+  const scenario = record.scenario && typeof record.scenario === "object" ? record.scenario : {};
+  const scenarioId = scenario.id ?? record.id;
+  const subquestions = Array.isArray(record.subquestions) ? record.subquestions : [];
+
+  return subquestions.map((sub, index) => ({
+    id: sub.id ?? `${record.id}_${index + 1}`,
+    exam: sub.exam ?? record.exam ?? null,
+    number: sub.number ?? null,
+    scenario_id: scenarioId,
+    scenario_text: scenario.text || null,
+    subq_index: index,
+    text: sub.text || "",
+    question_type: sub.question_type || "single",
+    choices: (Array.isArray(sub.choices) ? sub.choices : []).map(choice => ({
+      label: choice.label,
+      text: choice.text,
+      is_correct: typeof choice.is_correct === "boolean"
+        ? choice.is_correct
+        : (Array.isArray(sub.correct_labels) ? sub.correct_labels.includes(choice.label) : choice.label === sub.correct_label)
+    })),
+    correct_label: sub.correct_label ?? null,
+    correct_labels: Array.isArray(sub.correct_labels) ? sub.correct_labels : null,
+    explanation: sub.explanation || null,
+    source: sub.source || {}
+  }));
+}
+
 function normalizeBank(raw, sourceType) {
   if (sourceType === AI_SOURCE) {
-    const items = Array.isArray(raw?.items) ? raw.items : [];
+    // Without the answer-key module no AI item can be checked, so the pool is empty.
+    const items = Array.isArray(raw?.items) && typeof window.isValidAiItem === "function" ? raw.items : [];
     const questions = items
-      .filter(item => Array.isArray(item.choices) && item.choices.length === 4 && Number.isInteger(item.correct_index) && item.correct_index >= 0 && item.correct_index <= 3 && item.question)
+      .filter(item => window.isValidAiItem(item))
       .map((item, idx) => toLegacyQuestion(item, idx));
 
     return {
@@ -118,7 +461,13 @@ function normalizeBank(raw, sourceType) {
   }
 
   if (raw && Array.isArray(raw.questions)) {
-    return raw;
+    if (!raw.questions.some(q => q && q.kind === "scenario")) return raw;
+    const questions = raw.questions.flatMap(q => (q && q.kind === "scenario" ? expandScenarioRecord(q) : [q]));
+    return {
+      ...raw,
+      question_count: questions.length,
+      questions
+    };
   }
 
   return { question_count: 0, questions: [] };
@@ -151,7 +500,7 @@ function mergeQuestionBanks(primaryBank, extraBank) {
 
 async function loadExtraQuestions() {
   try {
-    const response = await fetch("extra_questions.json", { cache: "no-store" });
+    const response = await fetch("extra_questions.json", { cache: "no-cache" });
     if (!response.ok) return null;
     return normalizeBank(await response.json(), LEGACY_SOURCE);
   } catch (error) {
@@ -159,11 +508,82 @@ async function loadExtraQuestions() {
   }
 }
 
+function loadGdprArticles() {
+  if (!gdprArticlesPromise) {
+    gdprArticlesPromise = fetch("gdpr_knowledge.json", { cache: "no-cache" })
+      .then((response) => {
+        if (!response.ok) throw new Error(t("errors.bankLoadFailedFile", { file: "gdpr_knowledge.json" }));
+        return response.json();
+      })
+      .then(raw => window.normalizeGdprKnowledge(raw))
+      .catch((error) => {
+        gdprArticlesPromise = null;
+        throw error;
+      });
+  }
+  return gdprArticlesPromise;
+}
+
 async function loadQuestionBank(sourceType) {
+  return annotateNearDuplicates(await fetchQuestionBank(sourceType));
+}
+
+// One clustering per source (legacy, AI, Mixed), newest first.
+const MAX_CACHED_CLUSTERINGS = 3;
+
+function loadClusterCache() {
+  try {
+    const raw = safeStorageGet(CLUSTER_CACHE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return Array.isArray(parsed)
+      ? parsed.filter(entry => entry && typeof entry.fingerprint === "string" && entry.clusterById && typeof entry.clusterById === "object")
+      : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function saveClusterCache(entries) {
+  safeStorageSet(CLUSTER_CACHE_KEY, JSON.stringify(entries.slice(0, MAX_CACHED_CLUSTERINGS)));
+}
+
+// Clusters near-duplicate questions (question and choice text) per loaded bank;
+// every picker then takes at most one question per cluster. Clustering is slow
+// on large banks, so results are cached by a fingerprint of the bank contents.
+function annotateNearDuplicates(loadedBank) {
+  if (typeof window.clusterNearDuplicates !== "function") return loadedBank;
+  const items = loadedBank.questions.map(q => ({
+    id: String(q.id),
+    text: [q.text, ...(q.choices || []).map(choice => choice.text)].join(" "),
+    group: getScenarioKey(q)
+  }));
+  const fingerprint = typeof window.fingerprintNearDuplicateItems === "function"
+    ? window.fingerprintNearDuplicateItems(items)
+    : null;
+  const cache = fingerprint ? loadClusterCache() : [];
+  const cached = cache.find(entry => entry.fingerprint === fingerprint);
+  if (cached) {
+    loadedBank.clusterById = cached.clusterById;
+    return loadedBank;
+  }
+  loadedBank.clusterById = window.clusterNearDuplicates(items);
+  if (fingerprint) saveClusterCache([{ fingerprint, clusterById: loadedBank.clusterById }, ...cache]);
+  return loadedBank;
+}
+
+function getQuestionCluster(q) {
+  return (q && bank?.clusterById?.[String(q.id)]) || null;
+}
+
+function countNearDuplicateClusters(loadedBank) {
+  return new Set(Object.values(loadedBank?.clusterById || {})).size;
+}
+
+async function fetchQuestionBank(sourceType) {
   if (sourceType === MIXED_SOURCE) {
     const [legacyBank, aiBank] = await Promise.all([
-      loadQuestionBank(LEGACY_SOURCE),
-      loadQuestionBank(AI_SOURCE).catch(() => ({ question_count: 0, questions: [] }))
+      fetchQuestionBank(LEGACY_SOURCE),
+      fetchQuestionBank(AI_SOURCE).catch(() => ({ question_count: 0, questions: [] }))
     ]);
 
     const questions = [...legacyBank.questions, ...aiBank.questions];
@@ -176,26 +596,26 @@ async function loadQuestionBank(sourceType) {
   const targetFile = sourceType === AI_SOURCE ? "ai_questions.json" : "questions.json";
   let response;
   try {
-    response = await fetch(targetFile, { cache: "no-store" });
+    response = await fetch(targetFile, { cache: "no-cache" });
   } catch (error) {
     if (sourceType === AI_SOURCE) {
-      throw new Error("Brak puli AI. Spróbuj później.");
+      throw new Error(t("errors.aiBankUnavailable"));
     }
     throw error;
   }
 
   if (!response.ok) {
     if (sourceType === AI_SOURCE) {
-      throw new Error("Brak puli AI. Spróbuj później.");
+      throw new Error(t("errors.aiBankUnavailable"));
     }
-    throw new Error(`Failed to load ${targetFile}`);
+    throw new Error(t("errors.bankLoadFailedFile", { file: targetFile }));
   }
 
   const json = await response.json();
   const normalized = normalizeBank(json, sourceType);
 
   if (sourceType === AI_SOURCE && normalized.question_count === 0) {
-    throw new Error("Brak puli AI. Spróbuj później.");
+    throw new Error(t("errors.aiBankUnavailable"));
   }
 
   if (sourceType === LEGACY_SOURCE) {
@@ -205,9 +625,9 @@ async function loadQuestionBank(sourceType) {
 
   return normalized;
 }
-function shuffle(arr) {
+function shuffle(arr, random = Math.random) {
   for (let i = arr.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [arr[i], arr[j]] = [arr[j], arr[i]];
   }
   return arr;
@@ -248,7 +668,7 @@ function normalizeAttemptState(rawAttempt) {
 
   const normalized = { ...rawAttempt };
 
-  if (normalized.mode !== EXAM_MODE && normalized.mode !== FEEDBACK_MODE) {
+  if (normalized.mode !== EXAM_MODE && normalized.mode !== FEEDBACK_MODE && normalized.mode !== STUDY_MODE) {
     normalized.mode = EXAM_MODE;
   }
 
@@ -266,6 +686,21 @@ function normalizeAttemptState(rawAttempt) {
     normalized.sourceType = LEGACY_SOURCE;
   }
 
+  if (!normalized.choiceOrderByQid || typeof normalized.choiceOrderByQid !== "object") {
+    normalized.choiceOrderByQid = {};
+  }
+
+  if (!normalized.flagged || typeof normalized.flagged !== "object") {
+    normalized.flagged = {};
+  }
+
+  if (!normalized.timeSpentByQid || typeof normalized.timeSpentByQid !== "object") {
+    normalized.timeSpentByQid = {};
+  }
+  // An open dwell segment does not survive a reload: time while the page was
+  // closed is not time spent on the question.
+  normalized.activeDwell = null;
+
   return normalized;
 }
 
@@ -287,28 +722,33 @@ function sameQuestionId(left, right) {
   return String(left) === String(right);
 }
 
+function findQuestionInBank(sourceBank, qid) {
+  if (!sourceBank || !Array.isArray(sourceBank.questions)) return null;
+  return sourceBank.questions.find(q => sameQuestionId(q.id, qid)) || null;
+}
+
 function getQuestionById(qid) {
-  if (!bank || !Array.isArray(bank.questions)) return null;
-  return bank.questions.find(q => sameQuestionId(q.id, qid)) || null;
+  return findQuestionInBank(bank, qid) || findQuestionInBank(reviewBank, qid);
 }
 
-function getMissingQuestionIds(savedAttempt) {
+// Checked against `targetBank` when given, otherwise against the loaded banks.
+function getMissingQuestionIds(savedAttempt, targetBank = null) {
   if (!savedAttempt || !Array.isArray(savedAttempt.questionIds)) return [];
-  return savedAttempt.questionIds.filter(qid => !getQuestionById(qid));
+  return savedAttempt.questionIds.filter(qid => !(targetBank ? findQuestionInBank(targetBank, qid) : getQuestionById(qid)));
 }
 
-function canRestoreAttempt(savedAttempt) {
+function canRestoreAttempt(savedAttempt, targetBank = null) {
   return !!(
     savedAttempt &&
     Array.isArray(savedAttempt.questionIds) &&
     savedAttempt.questionIds.length > 0 &&
     savedAttempt.answers &&
     typeof savedAttempt.answers === "object" &&
-    getMissingQuestionIds(savedAttempt).length === 0
+    getMissingQuestionIds(savedAttempt, targetBank).length === 0
   );
 }
 
-function resetOutdatedAttempt(message = "Saved attempt was outdated and has been cleared.") {
+function resetOutdatedAttempt(message = t("attempt.outdated")) {
   clearAttempt();
   currentIndex = 0;
   const resumeBtn = $("resumeBtn");
@@ -357,7 +797,7 @@ function updateTimerSummary() {
   const { enabled } = getTimerSettings();
   const timerSummary = $("timerSummary");
   if (!timerSummary) return;
-  timerSummary.textContent = enabled ? "minutes" : "off";
+  timerSummary.textContent = enabled ? t("timer.minutes") : t("timer.off");
 }
 
 
@@ -369,13 +809,14 @@ function stopTimer() {
 }
 
 function updateTimerInfo() {
-  if (!attempt || !attempt.timerEnabled) {
-    $("timerInfo").textContent = "Timer: off";
-    return;
+  let text = t("timer.infoOff");
+  if (attempt && attempt.timerEnabled) {
+    const remaining = Math.max(0, (attempt.timerEndsAt || 0) - Date.now());
+    text = t("timer.left", { time: formatDuration(Math.ceil(remaining / 1000)) });
   }
-  const remaining = Math.max(0, (attempt.timerEndsAt || 0) - Date.now());
-  const remainingSeconds = Math.ceil(remaining / 1000);
-  $("timerInfo").textContent = `Timer left: ${formatDuration(remainingSeconds)}`;
+  $("timerInfo").textContent = text;
+  $("submitReviewTimer").textContent = text;
+  updatePaceInfo();
 }
 
 function startTimerIfNeeded() {
@@ -398,14 +839,18 @@ function startTimerIfNeeded() {
   }, 1000);
 }
 
+function getVisibleSectionId() {
+  return SECTION_IDS.find(id => {
+    const section = $(id);
+    return section && window.getComputedStyle(section).display !== "none";
+  }) || null;
+}
+
 function show(sectionId) {
   if (!SECTION_IDS.includes(sectionId) || isViewTransitioning) return;
 
   const nextSection = $(sectionId);
-  const currentSectionId = SECTION_IDS.find(id => {
-    const section = $(id);
-    return section && window.getComputedStyle(section).display !== "none";
-  });
+  const currentSectionId = getVisibleSectionId();
   const currentSection = currentSectionId ? $(currentSectionId) : null;
 
   if (!nextSection || currentSection === nextSection) return;
@@ -444,7 +889,7 @@ function show(sectionId) {
 
 function setBankInfo(sourceType = LEGACY_SOURCE) {
   const info = $("questionBankInfo");
-  if (!bank) { info.textContent = "Loading question bank…"; return; }
+  if (!bank) { info.textContent = t("home.loadingBank"); return; }
   info.textContent = "";
   const maxCount = Math.max(1, bank.question_count);
   const input = $("questionCount");
@@ -459,8 +904,131 @@ function setBankInfo(sourceType = LEGACY_SOURCE) {
       input.value = String(maxCount);
     }
   }
-  $("questionCountHelp").textContent = `Max ${maxCount}`;
+  updateQuestionCountHelp();
   updateQuestionCountText();
+  updateStudyInfo();
+  renderBlueprintBuilder();
+  renderScoringSettings();
+  renderMistakeDeckInfo();
+  updateSmartPracticeInfo();
+}
+
+function updateQuestionCountHelp() {
+  const parts = [t("home.maxQuestions", { count: formatNumber(Math.max(1, bank.question_count)) })];
+  const clusters = countNearDuplicateClusters(bank);
+  if (clusters) {
+    parts.push(t("home.nearDuplicates", { count: clusters, questions: Object.keys(bank.clusterById).length }));
+  }
+  $("questionCountHelp").textContent = parts.join(" • ");
+}
+
+function renderBlueprintBuilder() {
+  const rows = $("blueprintRows");
+  if (!rows) return;
+  rows.innerHTML = "";
+
+  getBlueprintGroups().forEach((group) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td class="mono"></td>
+      <td><input type="number" min="0" step="1" value="0" /></td>
+    `;
+    tr.children[0].textContent = blueprintRuleLabel(group.rule);
+    tr.children[1].textContent = String(group.available);
+    const input = tr.querySelector("input");
+    input.max = String(group.available);
+    input.dataset.ruleKey = group.key;
+    input.oninput = updateBlueprintTotal;
+    rows.appendChild(tr);
+  });
+
+  updateBlueprintTotal();
+}
+
+function readBlueprintRules() {
+  const groupsByKey = new Map(getBlueprintGroups().map(group => [group.key, group]));
+  const rules = [];
+  document.querySelectorAll("#blueprintRows input[data-rule-key]").forEach((input) => {
+    const group = groupsByKey.get(input.dataset.ruleKey);
+    const raw = parseInt(input.value, 10);
+    if (!group || !Number.isFinite(raw) || raw < 1) return;
+    rules.push({ ...group.rule, count: Math.min(raw, group.available) });
+  });
+  return rules;
+}
+
+function updateBlueprintTotal() {
+  const total = readBlueprintRules().reduce((sum, rule) => sum + rule.count, 0);
+  const totalEl = $("blueprintTotal");
+  if (totalEl) totalEl.textContent = t("common.questionCount", { count: total });
+}
+
+function saveBlueprintFromBuilder() {
+  const nameInput = $("blueprintName");
+  const name = nameInput.value.trim();
+  const rules = readBlueprintRules();
+  if (!name || !rules.length) {
+    $("blueprintTotal").textContent = t("blueprint.needNameAndCount");
+    return;
+  }
+
+  const blueprint = { name, sourceType: getBlueprintSourceType(rules), rules };
+  const blueprints = loadBlueprints().filter(item => item.name !== name);
+  blueprints.push(blueprint);
+  saveBlueprints(blueprints);
+  nameInput.value = "";
+  renderBlueprintList();
+  updateBlueprintTotal();
+}
+
+function deleteBlueprint(name) {
+  saveBlueprints(loadBlueprints().filter(item => item.name !== name));
+  renderBlueprintList();
+}
+
+function renderBlueprintList() {
+  const list = $("blueprintList");
+  if (!list) return;
+  list.innerHTML = "";
+
+  const blueprints = loadBlueprints();
+  if (!blueprints.length) {
+    list.textContent = t("blueprint.none");
+    return;
+  }
+
+  blueprints.forEach((blueprint) => {
+    const total = blueprint.rules.reduce((sum, rule) => sum + (Number(rule.count) || 0), 0);
+    const chip = document.createElement("span");
+    chip.className = "blueprintChip";
+
+    const startBtn = document.createElement("button");
+    startBtn.className = "secondary";
+    startBtn.textContent = `${blueprint.name} (${total})`;
+    startBtn.title = blueprint.rules.map(rule => `${blueprintRuleLabel(rule)}: ${rule.count}`).join("\n");
+    startBtn.onclick = () => { startBlueprintAttempt(blueprint); };
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.className = "secondary";
+    deleteBtn.textContent = "×";
+    deleteBtn.setAttribute("aria-label", t("blueprint.delete", { name: blueprint.name }));
+    deleteBtn.onclick = () => { deleteBlueprint(blueprint.name); };
+
+    chip.appendChild(startBtn);
+    chip.appendChild(deleteBtn);
+    list.appendChild(chip);
+  });
+}
+
+async function startBlueprintAttempt(blueprint) {
+  const currentSource = getSelectedQuizSource();
+  const neededSource = blueprint.sourceType || getBlueprintSourceType(blueprint.rules);
+  if (currentSource !== neededSource && currentSource !== MIXED_SOURCE) {
+    const loaded = await changeQuizSource(neededSource);
+    if (!loaded) return;
+  }
+  startNewAttempt({ blueprint });
 }
 
 function getSelectedQuestionCount() {
@@ -472,6 +1040,90 @@ function getSelectedQuestionCount() {
   return Math.min(Math.max(raw, 1), safeMax);
 }
 
+function updateScoringSummary(model) {
+  const summary = $("scoringSummary");
+  if (!model) {
+    summary.textContent = "";
+    return;
+  }
+  const weighted = Object.values(model.domainWeights).some(weight => weight !== 1);
+  summary.textContent = `${t("scoring.summary", {
+    min: model.minScaled,
+    max: model.maxScaled,
+    pass: model.passScaled,
+    percent: formatNumber(model.passPercent / 100, { style: "percent", maximumFractionDigits: 1 })
+  })}${weighted ? ` • ${t("scoring.weightedSummary")}` : ""}`;
+}
+
+// One weight per exam domain of the loaded bank, plus domains weighted earlier.
+function renderScoringSettings() {
+  const model = loadScoringModel();
+  const settings = $("scoringSettings");
+  settings.style.display = model ? "" : "none";
+  updateScoringSummary(model);
+  if (!model) return;
+
+  $("scoringMin").value = String(model.minScaled);
+  $("scoringMax").value = String(model.maxScaled);
+  $("scoringPass").value = String(model.passScaled);
+  $("scoringPassPercent").value = String(model.passPercent);
+  $("scoringMultipleResponse").value = model.multipleResponse;
+
+  const domains = new Set((bank?.questions || []).map(q => getQuestionDomain(q)));
+  Object.keys(model.domainWeights).forEach(domain => domains.add(domain));
+  const rows = $("scoringWeightRows");
+  rows.innerHTML = "";
+  Array.from(domains).sort().forEach((domain) => {
+    const tr = document.createElement("tr");
+    tr.innerHTML = `
+      <td></td>
+      <td><input type="number" min="0" step="0.5" /></td>
+    `;
+    tr.children[0].textContent = domainLabel(domain);
+    const input = tr.querySelector("input");
+    input.value = String(model.domainWeights[domain] ?? 1);
+    input.dataset.domain = domain;
+    input.onchange = saveScoringFromSettings;
+    rows.appendChild(tr);
+  });
+}
+
+function saveScoringFromSettings() {
+  const domainWeights = {};
+  document.querySelectorAll("#scoringWeightRows input[data-domain]").forEach((input) => {
+    const weight = parseFloat(input.value);
+    if (Number.isFinite(weight) && weight >= 0 && weight !== 1) domainWeights[input.dataset.domain] = weight;
+  });
+  const scale = {
+    minScaled: $("scoringMin").value,
+    maxScaled: $("scoringMax").value,
+    passScaled: $("scoringPass").value,
+    passPercent: $("scoringPassPercent").value
+  };
+  // An invalid scale keeps the saved one instead of silently falling back to the
+  // defaults; the other settings are still saved.
+  const scaleIsValid = window.isValidScoringScale(scale);
+  const previous = loadScoringModel();
+  const model = window.normalizeScoringModel({
+    ...(scaleIsValid ? scale : {
+      minScaled: previous.minScaled,
+      maxScaled: previous.maxScaled,
+      passScaled: previous.passScaled,
+      passPercent: previous.passPercent
+    }),
+    multipleResponse: $("scoringMultipleResponse").value,
+    domainWeights
+  });
+  saveScoringModel(model);
+  if (scaleIsValid) {
+    $("scoringStatus").textContent = "";
+    updateScoringSummary(model);
+    return;
+  }
+  renderScoringSettings();
+  $("scoringStatus").textContent = t("scoring.invalidScale");
+}
+
 function updateQuestionCountText() {
   const count = getSelectedQuestionCount();
   const countText = $("questionCountText");
@@ -484,79 +1136,540 @@ function isAiQuestion(question) {
   return question && question.exam === "AI";
 }
 
-function pickQuestions(count, sourceType) {
+function getScenarioKey(question) {
+  return question && question.scenario_id != null && question.scenario_id !== ""
+    ? String(question.scenario_id)
+    : null;
+}
+
+function compareScenarioSiblings(a, b) {
+  const byNumber = (Number(a.number) || 0) - (Number(b.number) || 0);
+  if (byNumber) return byNumber;
+  return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+}
+
+// Groups questions into draw units: a standalone question, or all siblings of one
+// scenario in their original order. Units keep the order of their first question.
+function buildPickUnits(questions) {
+  const units = [];
+  const byScenario = new Map();
+
+  questions.forEach((q) => {
+    const key = getScenarioKey(q);
+    if (!key) {
+      units.push([q]);
+      return;
+    }
+    if (!byScenario.has(key)) {
+      const unit = [];
+      byScenario.set(key, unit);
+      units.push(unit);
+    }
+    byScenario.get(key).push(q);
+  });
+
+  byScenario.forEach(unit => unit.sort(compareScenarioSiblings));
+  return units;
+}
+
+function countUnitQuestions(units) {
+  return units.reduce((sum, unit) => sum + unit.length, 0);
+}
+
+function flattenUnits(units) {
+  return units.flatMap(unit => unit.map(q => q.id));
+}
+
+// Takes whole units in order until `count` questions are reached. Units that would
+// overshoot are skipped in favour of smaller ones; only if nothing fits is the last
+// gap filled with the leading part of a scenario.
+// `usedClusters` carries the near-duplicate clusters already drawn; share one
+// set across calls that build the same attempt. Null ignores clusters (draw version 1).
+function takeUnits(units, count, usedClusters = new Set()) {
+  const picked = [];
+  let total = 0;
+  const clashes = unit => !!usedClusters && unit.some((q) => {
+    const cluster = getQuestionCluster(q);
+    return cluster && usedClusters.has(cluster);
+  });
+  const claim = (unit) => {
+    if (usedClusters) {
+      unit.forEach((q) => {
+        const cluster = getQuestionCluster(q);
+        if (cluster) usedClusters.add(cluster);
+      });
+    }
+    picked.push(unit);
+  };
+
+  for (const unit of units) {
+    if (total >= count) break;
+    if (total + unit.length > count || clashes(unit)) continue;
+    claim(unit);
+    total += unit.length;
+  }
+
+  if (total < count) {
+    const used = new Set(picked);
+    const partial = units.find(unit => !used.has(unit) && !clashes(unit.slice(0, count - total)));
+    if (partial) claim(partial.slice(0, count - total));
+  }
+
+  return picked;
+}
+
+function getMixedTargets(requested, aiShare, drawVersion = DRAW_VERSION) {
+  const targetAi = drawVersion < 2
+    ? Math.floor(requested / 2)
+    : Math.round((requested * normalizeMixedAiShare(aiShare)) / 100);
+  return { targetAi, targetLegacy: requested - targetAi };
+}
+
+// Each source is sampled stratified by question group so the draw mirrors the
+// bank; `weighUnit` switches to Smart practice, ordered by orderUnitsAdaptively().
+// `drawVersion` 1 replays the original draw so older shared links rebuild the same paper.
+function pickQuestions(count, sourceType, random = Math.random, { weighUnit = null, aiShare = DEFAULT_MIXED_AI_SHARE, drawVersion = DRAW_VERSION } = {}) {
   const requested = Math.max(1, count);
+  const original = drawVersion < 2 && !weighUnit;
+  const orderUnits = (units, target) => {
+    if (original) return shuffle(units, random);
+    if (weighUnit) return window.orderUnitsAdaptively(units, weighUnit, { count: target, random });
+    if (typeof window.orderUnitsStratified === "function") {
+      return window.orderUnitsStratified(units, unit => getQuestionGroupKey(unit[0]), { count: target, random });
+    }
+    return shuffle(units, random);
+  };
 
   if (sourceType === MIXED_SOURCE) {
-    const aiIds = bank.questions.filter(isAiQuestion).map(q => q.id);
-    const legacyIds = bank.questions.filter(q => !isAiQuestion(q)).map(q => q.id);
-
-    shuffle(aiIds);
-    shuffle(legacyIds);
+    const { targetAi, targetLegacy } = getMixedTargets(requested, aiShare, drawVersion);
 
-    const targetAi = Math.floor(requested / 2);
-    const targetLegacy = requested - targetAi;
+    const aiUnits = orderUnits(buildPickUnits(bank.questions.filter(isAiQuestion)), targetAi);
+    const legacyUnits = orderUnits(buildPickUnits(bank.questions.filter(q => !isAiQuestion(q))), targetLegacy);
 
-    const pickedAi = aiIds.slice(0, Math.min(targetAi, aiIds.length));
-    const missingAi = targetAi - pickedAi.length;
+    const usedClusters = original ? null : new Set();
+    const pickedAi = takeUnits(aiUnits, targetAi, usedClusters);
+    const missingAi = targetAi - countUnitQuestions(pickedAi);
 
     const legacyNeed = targetLegacy + Math.max(0, missingAi);
-    const pickedLegacy = legacyIds.slice(0, Math.min(legacyNeed, legacyIds.length));
+    const pickedLegacy = takeUnits(legacyUnits, legacyNeed, usedClusters);
 
     const picked = [...pickedLegacy, ...pickedAi];
 
-    if (picked.length < requested) {
-      const used = new Set(picked);
-      const aiOverflow = aiIds.filter(id => !used.has(id));
-      picked.push(...aiOverflow.slice(0, requested - picked.length));
+    const shortfall = requested - countUnitQuestions(picked);
+    if (shortfall > 0) {
+      const used = new Set(pickedAi);
+      picked.push(...takeUnits(aiUnits.filter(unit => !used.has(unit)), shortfall, usedClusters));
     }
 
-    return shuffle(picked).slice(0, requested);
+    return flattenUnits(shuffle(picked, random));
   }
 
-  const all = bank.questions.map(q => q.id);
-  shuffle(all);
-  return all.slice(0, requested);
+  const picked = takeUnits(orderUnits(buildPickUnits(bank.questions), requested), requested, original ? null : new Set());
+  return flattenUnits(original ? picked : shuffle(picked, random));
 }
 
-function startNewAttempt() {
-  if (!bank || !Array.isArray(bank.questions) || bank.questions.length === 0) {
+// Target and actual AI/legacy counts of a Mixed draw; a shortfall in one pool
+// is made up from the other.
+function buildMixedComposition(questionIds, requested, aiShare, drawVersion = DRAW_VERSION) {
+  const { targetAi, targetLegacy } = getMixedTargets(Math.max(1, requested), aiShare, drawVersion);
+  const ai = questionIds.filter(qid => isAiQuestion(getQuestionById(qid))).length;
+  return { aiShare: normalizeMixedAiShare(aiShare), targetAi, targetLegacy, ai, legacy: questionIds.length - ai };
+}
+
+function renderComposition(viewed) {
+  const info = $("compositionInfo");
+  const composition = viewed.composition;
+  if (!composition) {
+    info.style.display = "none";
+    info.textContent = "";
     return;
   }
-  const count = getSelectedQuestionCount();
-  const timer = getTimerSettings();
-  const sourceType = getSelectedQuizSource();
-  const mode = getSelectedQuizMode();
-  const now = Date.now();
+  const parts = [t("results.composition", {
+    ai: composition.ai,
+    legacy: composition.legacy,
+    targetAi: composition.targetAi,
+    targetLegacy: composition.targetLegacy
+  })];
+  if (composition.ai < composition.targetAi && composition.legacy > composition.targetLegacy) {
+    parts.push(t("results.overflow", { short: t("source.ai"), other: t("source.legacy"), count: composition.legacy - composition.targetLegacy }));
+  } else if (composition.legacy < composition.targetLegacy && composition.ai > composition.targetAi) {
+    parts.push(t("results.overflow", { short: t("source.legacy"), other: t("source.ai"), count: composition.ai - composition.targetAi }));
+  }
+  info.textContent = parts.join(" • ");
+  info.style.display = "";
+}
 
-  attempt = {
-    id: uid(),
-    createdAt: new Date().toISOString(),
-    questionIds: pickQuestions(count, sourceType),
-    answers: {},         // { [qid]: 'A'|'B'|'C'|'D' }
-    submitted: false,
-    results: null,
-    questionCount: count,
-    startedAt: now,
-    timerEnabled: timer.enabled,
-    timerMinutes: timer.minutes,
-    timerEndsAt: timer.enabled ? now + timer.minutes * 60 * 1000 : null,
-    mode,
-    sourceType,
-    points: 0,
-    streak: 0,
-    badges: [],
-    feedback: createDefaultFeedbackState()
-  };
-  currentIndex = 0;
-  saveAttempt();
-  renderExam();
-  startTimerIfNeeded();
-  show("exam");
+// The exam domain, and the topic within the AI domain: the strata of random
+// draws and the groups Smart practice tracks accuracy for.
+function getQuestionGroupKey(q) {
+  return isAiQuestion(q) && q.topic ? `${getQuestionDomain(q)}|${q.topic}` : getQuestionDomain(q);
 }
 
-function answeredCount() {
-  return Object.keys(attempt.answers).length;
+function questionGroupLabel(groupKey) {
+  const [exam, topic] = String(groupKey).split("|");
+  return blueprintRuleLabel({ exam, topic: topic || null });
+}
+
+function collectSmartPracticeStats() {
+  if (typeof window.collectAccuracyStats !== "function") return null;
+  return window.collectAccuracyStats(loadAttemptHistory(), (qid) => {
+    const q = getQuestionById(qid);
+    return q ? getQuestionGroupKey(q) : null;
+  });
+}
+
+// Unit weight for Smart practice: the mean weight of its questions, so a scenario
+// counts as much as a single question.
+function buildSmartPracticeWeigher() {
+  const stats = collectSmartPracticeStats();
+  if (!stats || typeof window.questionWeight !== "function" || typeof window.orderUnitsAdaptively !== "function") return null;
+  return unit => unit.reduce((sum, q) => sum + window.questionWeight(stats, String(q.id), getQuestionGroupKey(q)), 0) / unit.length;
+}
+
+function updateSmartPracticeInfo() {
+  const help = $("smartPracticeHelp");
+  if (!help) return;
+  const mode = getSelectedQuizMode();
+  if (!$("smartPractice").checked || !bank) {
+    help.textContent = "";
+    return;
+  }
+  if (mode === STUDY_MODE) {
+    help.textContent = t("smart.studyIgnored");
+    return;
+  }
+  const stats = collectSmartPracticeStats();
+  const bankGroups = new Set(bank.questions.map(getQuestionGroupKey));
+  const weakest = Object.entries(stats?.groups || {})
+    .filter(([key, counter]) => bankGroups.has(key) && counter.seen > 0)
+    .map(([key, counter]) => ({ key, percent: (counter.correct / counter.seen) * 100 }))
+    .sort((a, b) => a.percent - b.percent)
+    .slice(0, 2);
+  const share = formatPercent((window.SMART_PRACTICE_RANDOM_SHARE || 0) * 100);
+  help.textContent = weakest.length
+    ? t("smart.focus", { groups: weakest.map(item => `${questionGroupLabel(item.key)} ${formatPercent(item.percent)}`).join(", "), share })
+    : t("smart.noHistory", { share });
+}
+
+function blueprintRuleKey(rule) {
+  return [rule.exam, rule.topic || "", rule.difficulty || ""].join("|");
+}
+
+function blueprintRuleLabel(rule) {
+  if (!rule.topic) return domainLabel(rule.exam);
+  return `${domainLabel(rule.exam)} • ${rule.topic}${rule.difficulty ? ` • ${rule.difficulty}` : ""}`;
+}
+
+function questionMatchesBlueprintRule(question, rule) {
+  if (getQuestionDomain(question) !== rule.exam) return false;
+  if (rule.topic && question.topic !== rule.topic) return false;
+  if (rule.difficulty && question.difficulty !== rule.difficulty) return false;
+  return true;
+}
+
+function getBlueprintGroups() {
+  const groups = new Map();
+  (bank?.questions || []).forEach((q) => {
+    const rule = isAiQuestion(q)
+      ? { exam: getQuestionDomain(q), topic: q.topic || null, difficulty: q.difficulty || null }
+      : { exam: getQuestionDomain(q), topic: null, difficulty: null };
+    const key = blueprintRuleKey(rule);
+    if (!groups.has(key)) groups.set(key, { key, rule, available: 0 });
+    groups.get(key).available += 1;
+  });
+  return Array.from(groups.values()).sort((a, b) => a.key.localeCompare(b.key));
+}
+
+function getBlueprintSourceType(rules) {
+  const hasAi = rules.some(rule => rule.exam === "AI");
+  const hasLegacy = rules.some(rule => rule.exam !== "AI");
+  if (hasAi && hasLegacy) return MIXED_SOURCE;
+  return hasAi ? AI_SOURCE : LEGACY_SOURCE;
+}
+
+function pickQuestionsFromBlueprint(blueprint, random = Math.random) {
+  const used = new Set();
+  const usedClusters = new Set();
+  const picked = [];
+
+  blueprint.rules.forEach((rule) => {
+    const candidates = bank.questions
+      .filter(q => !used.has(String(q.id)) && questionMatchesBlueprintRule(q, rule));
+    takeUnits(shuffle(buildPickUnits(candidates), random), Math.max(0, rule.count), usedClusters).forEach((unit) => {
+      unit.forEach(q => used.add(String(q.id)));
+      picked.push(unit);
+    });
+  });
+
+  return flattenUnits(shuffle(picked, random));
+}
+
+// Draws from a fixed list (retry or mistake deck), keeping the list's priority
+// when it is longer than `count` and scenario siblings together.
+function pickListedQuestions(questionIds, count, random = Math.random) {
+  const questions = questionIds.map(qid => getQuestionById(qid)).filter(Boolean);
+  return flattenUnits(shuffle(takeUnits(buildPickUnits(questions), Math.max(1, count)), random));
+}
+
+function getRetryQuestionIds(targetAttempt) {
+  if (!targetAttempt?.results) return [];
+  return targetAttempt.questionIds.filter((qid) => {
+    const status = targetAttempt.results[qid]?.status;
+    return (status === "wrong" || status === "unanswered") && getQuestionById(qid);
+  });
+}
+
+function getMistakeDeckQuestionIds() {
+  if (!bank || typeof window.orderMistakeDeck !== "function") return [];
+  return window.orderMistakeDeck(loadMistakeDeck(), bank.questions.map(q => String(q.id)));
+}
+
+function renderMistakeDeckInfo() {
+  const info = $("mistakeDeckInfo");
+  if (!info) return;
+  const total = Object.keys(loadMistakeDeck()).length;
+  const available = getMistakeDeckQuestionIds().length;
+  const clearStreak = loadMistakeClearStreak();
+  info.textContent = total
+    ? `${t("mistakes.count", { count: total })}${available < total ? ` • ${t("mistakes.inBank", { count: available })}` : ""} • ${t("mistakes.clearRule", { count: clearStreak })}`
+    : t("mistakes.empty");
+  $("mistakeDeckBtn").disabled = available === 0;
+  $("mistakeClearStreak").value = String(clearStreak);
+}
+
+function startMistakeDeckAttempt() {
+  const questionIds = getMistakeDeckQuestionIds();
+  if (!questionIds.length) return;
+  // Pass the whole deck: near-duplicates are dropped while filling, so cutting it
+  // to the count first would give a short attempt.
+  startNewAttempt({ questionIds, questionCount: getSelectedQuestionCount(), drill: "mistakes" });
+}
+
+function pickStudyQuestions(count, random = Math.random) {
+  const requested = Math.max(1, count);
+  const all = shuffle(bank.questions.map(q => q.id), random);
+  const queue = typeof window.orderStudyQueue === "function"
+    ? window.orderStudyQueue(all, loadReviewRecords()).queue
+    : all;
+  const byId = new Map(bank.questions.map(q => [String(q.id), q]));
+  const questions = queue.map(qid => byId.get(String(qid))).filter(Boolean);
+  return flattenUnits(takeUnits(buildPickUnits(questions), requested));
+}
+
+function updateStudyInfo() {
+  const help = $("quizModeHelp");
+  if (!help) return;
+  if (getSelectedQuizMode() !== STUDY_MODE || !bank || typeof window.orderStudyQueue !== "function") {
+    help.textContent = "";
+    return;
+  }
+  const { dueCount, freshCount } = window.orderStudyQueue(bank.questions.map(q => q.id), loadReviewRecords());
+  help.textContent = t("study.queueInfo", { due: dueCount, fresh: freshCount });
+}
+
+function generateAttemptSeed() {
+  return typeof window.generateSeed === "function" ? window.generateSeed() : uid().slice(0, 8);
+}
+
+function createAttemptRandom(seed) {
+  return typeof window.createSeededRandom === "function" ? window.createSeededRandom(seed) : Math.random;
+}
+
+function canSharePaper(targetAttempt) {
+  return !!(targetAttempt && targetAttempt.seed && !targetAttempt.blueprint && !targetAttempt.drill && !targetAttempt.smartPractice && targetAttempt.mode !== STUDY_MODE);
+}
+
+// Study and Smart practice draws depend on local records, and blueprints and retry lists are not encoded in the
+// link, so only plain random draws (exam/feedback) reproduce from a shared seed.
+function buildSharedPaperUrl(targetAttempt) {
+  const url = new URL(window.location.href);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("seed", targetAttempt.seed);
+  // Attempts saved before draw versions were recorded used the original draw.
+  url.searchParams.set("draw", String(targetAttempt.drawVersion || 1));
+  url.searchParams.set("count", String(targetAttempt.questionIds.length));
+  url.searchParams.set("source", targetAttempt.sourceType);
+  if (targetAttempt.composition) url.searchParams.set("ai", String(targetAttempt.composition.aiShare));
+  url.searchParams.set("mode", targetAttempt.mode);
+  if (Object.keys(targetAttempt.choiceOrderByQid || {}).length) url.searchParams.set("shuffle", "1");
+  return url.toString();
+}
+
+function readSharedPaperParams() {
+  const params = new URLSearchParams(window.location.search);
+  const seed = (params.get("seed") || "").trim().slice(0, 64);
+  if (!seed) return null;
+
+  const count = parseInt(params.get("count"), 10);
+  const source = params.get("source");
+  const mode = params.get("mode");
+  const aiShare = params.get("ai");
+  const drawVersion = parseInt(params.get("draw"), 10);
+  return {
+    seed,
+    // Links without `draw` predate draw versions.
+    drawVersion: Number.isInteger(drawVersion) && drawVersion >= 1 && drawVersion <= DRAW_VERSION ? drawVersion : 1,
+    count: Number.isFinite(count) && count > 0 ? count : null,
+    source: [LEGACY_SOURCE, AI_SOURCE, MIXED_SOURCE].includes(source) ? source : null,
+    mode: mode === EXAM_MODE || mode === FEEDBACK_MODE ? mode : null,
+    aiShare: aiShare != null && aiShare !== "" ? normalizeMixedAiShare(aiShare) : DEFAULT_MIXED_AI_SHARE,
+    shuffleChoices: params.get("shuffle") === "1"
+  };
+}
+
+async function copySharedPaperLink(button, targetAttempt) {
+  if (!canSharePaper(targetAttempt)) return;
+  const link = buildSharedPaperUrl(targetAttempt);
+  try {
+    await navigator.clipboard.writeText(link);
+    const label = button.textContent;
+    button.textContent = t("share.copied");
+    window.setTimeout(() => { button.textContent = label; }, 1500);
+  } catch (error) {
+    window.prompt(t("share.prompt"), link);
+  }
+}
+
+function applySharedPaper(sharedPaper) {
+  if (window.history && typeof window.history.replaceState === "function") {
+    window.history.replaceState(null, "", window.location.pathname + window.location.hash);
+  }
+
+  if (sharedPaper.count) $("questionCount").value = String(sharedPaper.count);
+  $("shuffleChoices").checked = sharedPaper.shuffleChoices;
+  if (sharedPaper.mode) {
+    document.querySelectorAll("input[name=quizMode]").forEach((input) => {
+      input.checked = input.value === sharedPaper.mode;
+    });
+  }
+  setBankInfo(getSelectedQuizSource());
+
+  // The sharer's AI share applies to this paper only; the local preference is kept.
+  const paper = { seed: sharedPaper.seed, drawVersion: sharedPaper.drawVersion, aiShare: sharedPaper.aiShare };
+  if (attempt && !attempt.submitted) {
+    pendingSharedPaper = paper;
+    $("questionBankInfo").textContent = t("share.pending", { seed: sharedPaper.seed });
+    return;
+  }
+
+  startNewAttempt(paper);
+}
+
+// `questionIds` replaces the random draw with a fixed list; `drill` records where
+// that list came from ("wrong" for a retry, "mistakes" for the mistake deck).
+// `questionCount` caps how many of the listed questions are taken, in list order.
+// `drawVersion` and `aiShare` come from a shared paper link.
+function startNewAttempt({ blueprint = null, seed = null, questionIds: listedIds = null, questionCount = null, drill = null, drawVersion = DRAW_VERSION, aiShare: sharedAiShare = null } = {}) {
+  if (!bank || !Array.isArray(bank.questions) || bank.questions.length === 0) {
+    return;
+  }
+  const timer = getTimerSettings();
+  const sourceType = getSelectedQuizSource();
+  const mode = getSelectedQuizMode();
+  const now = Date.now();
+  const attemptSeed = seed || generateAttemptSeed();
+  const random = createAttemptRandom(attemptSeed);
+  const smartPractice = !listedIds && !blueprint && mode !== STUDY_MODE && $("smartPractice")?.checked === true;
+  const aiShare = sharedAiShare ?? loadMixedAiShare();
+
+  let questionIds;
+  if (listedIds) {
+    questionIds = pickListedQuestions(listedIds, questionCount ?? listedIds.length, random);
+  } else if (blueprint) {
+    questionIds = pickQuestionsFromBlueprint(blueprint, random);
+  } else if (mode === STUDY_MODE) {
+    questionIds = pickStudyQuestions(getSelectedQuestionCount(), random);
+  } else {
+    questionIds = pickQuestions(getSelectedQuestionCount(), sourceType, random, {
+      weighUnit: smartPractice ? buildSmartPracticeWeigher() : null,
+      aiShare,
+      drawVersion
+    });
+  }
+  if (!questionIds.length) return;
+  const composition = sourceType === MIXED_SOURCE && !listedIds && !blueprint && mode !== STUDY_MODE
+    ? buildMixedComposition(questionIds, getSelectedQuestionCount(), aiShare, drawVersion)
+    : null;
+  const shuffleChoices = $("shuffleChoices")?.checked || false;
+
+  reviewedAttempt = null;
+  attempt = {
+    id: uid(),
+    createdAt: new Date().toISOString(),
+    questionIds,
+    answers: {},         // { [qid]: 'A' | ['A', 'C'] for multiple response }
+    submitted: false,
+    results: null,
+    seed: attemptSeed,
+    drawVersion,
+    questionCount: questionIds.length,
+    startedAt: now,
+    timerEnabled: timer.enabled,
+    timerMinutes: timer.minutes,
+    timerEndsAt: timer.enabled ? now + timer.minutes * 60 * 1000 : null,
+    mode,
+    sourceType,
+    points: 0,
+    streak: 0,
+    badges: [],
+    feedback: createDefaultFeedbackState(),
+    blueprint,
+    drill,
+    smartPractice,
+    composition,
+    choiceOrderByQid: shuffleChoices ? buildChoiceOrder(questionIds, random) : {},
+    flagged: {},
+    timeSpentByQid: {},  // { [qid]: ms on screen, summed over every visit }
+    activeDwell: null    // { qid, since } for the question currently on screen
+  };
+  currentIndex = 0;
+  saveAttempt();
+  renderExam();
+  startTimerIfNeeded();
+  show("exam");
+}
+
+// Credits the time since the last switch to the question that was on screen and
+// starts counting for `qid`; null stops the clock (review screen, exit, submit).
+function switchDwellQuestion(qid) {
+  if (!attempt || attempt.activeDwell?.qid === qid) return;
+  const now = Date.now();
+  const active = attempt.activeDwell;
+  if (active?.qid) {
+    attempt.timeSpentByQid[active.qid] = (Number(attempt.timeSpentByQid[active.qid]) || 0) + Math.max(0, now - (Number(active.since) || now));
+  }
+  attempt.activeDwell = qid && !attempt.submitted ? { qid, since: now } : null;
+  saveAttempt();
+}
+
+function getTimeSpentSeconds(targetAttempt, qid) {
+  return Math.round((Number(targetAttempt.timeSpentByQid?.[qid]) || 0) / 1000);
+}
+
+// Seconds behind (positive) or ahead (negative) of an even split of the timer
+// over all questions, measured by answered questions. Null without a timer.
+function getPaceOffsetSeconds(targetAttempt, now = Date.now()) {
+  if (!targetAttempt?.timerEnabled || !targetAttempt.questionIds?.length) return null;
+  const budget = (Number(targetAttempt.timerMinutes) || DEFAULT_TIMER_MINUTES) * 60 / targetAttempt.questionIds.length;
+  const elapsed = Math.max(0, (now - (Number(targetAttempt.startedAt) || now)) / 1000);
+  return elapsed - Object.keys(targetAttempt.answers || {}).length * budget;
+}
+
+function updatePaceInfo() {
+  const paceInfo = $("paceInfo");
+  const offset = attempt && !attempt.submitted ? getPaceOffsetSeconds(attempt) : null;
+  paceInfo.style.display = offset === null ? "none" : "";
+  paceInfo.classList.toggle("paceBehind", offset !== null && offset >= 60);
+  if (offset === null) return;
+  const time = formatElapsed(Math.round(Math.abs(offset) / 60) * 60);
+  paceInfo.textContent = offset >= 60
+    ? t("pace.behind", { time })
+    : offset <= -60 ? t("pace.ahead", { time }) : t("pace.onPace");
+}
+
+function answeredCount() {
+  return Object.keys(attempt.answers).length;
 }
 
 function ensureFeedbackAttemptState() {
@@ -577,6 +1690,25 @@ function ensureFeedbackAttemptState() {
   }
 }
 
+function recordStudyReview(qid, status) {
+  ensureFeedbackAttemptState();
+  if (!attempt.feedback.scoredQids.includes(qid)) {
+    attempt.feedback.scoredQids.push(qid);
+  }
+  if (typeof window.scheduleReview !== "function" || typeof window.gradeStudyAnswer !== "function") return null;
+
+  const records = loadReviewRecords();
+  const quality = window.gradeStudyAnswer({ status, usedHint: !!attempt.feedback.hintUsedByQid[qid] });
+  records[qid] = window.scheduleReview(records[qid], quality);
+  saveReviewRecords(records);
+  return records[qid];
+}
+
+function formatNextReview(days) {
+  if (!Number.isFinite(Number(days))) return "";
+  return ` • ${t("study.nextReview", { count: Number(days) })}`;
+}
+
 function updateFeedbackControls(isFeedbackMode, qid, q) {
   const submitBtn = $("submitBtn");
   const hintBtn = $("hintBtn");
@@ -584,7 +1716,7 @@ function updateFeedbackControls(isFeedbackMode, qid, q) {
   const pointsInfo = $("pointsInfo");
   const feedbackMessage = $("feedbackMessage");
 
-  submitBtn.textContent = isFeedbackMode ? "Finish" : "Submit";
+  submitBtn.textContent = isFeedbackMode ? t("exam.finish") : t("exam.submit");
 
   if (!isFeedbackMode) {
     if (hintBtn) hintBtn.style.display = "none";
@@ -602,9 +1734,11 @@ function updateFeedbackControls(isFeedbackMode, qid, q) {
 
   ensureFeedbackAttemptState();
 
+  const isStudyMode = attempt.mode === STUDY_MODE;
+
   if (pointsInfo) {
-    pointsInfo.style.display = "block";
-    pointsInfo.textContent = `Points: ${attempt.points || 0} • Streak: ${attempt.streak || 0}`;
+    pointsInfo.style.display = isStudyMode ? "none" : "block";
+    pointsInfo.textContent = isStudyMode ? "" : t("feedback.pointsInfo", { points: attempt.points || 0, streak: attempt.streak || 0 });
   }
 
   const evaluated = !!attempt.feedback.evaluationByQid[qid];
@@ -624,22 +1758,30 @@ function updateFeedbackControls(isFeedbackMode, qid, q) {
     let message = "";
     if (evaluated) {
       const result = attempt.feedback.evaluationByQid[qid];
+      const correctLabel = toDisplayLabel(attempt, q, result.correct);
       message = result.status === "correct"
-        ? "Correct"
+        ? t("feedback.correct")
         : result.status === "skipped"
-          ? `Skipped. Correct answer: ${result.correct ?? "—"}`
-          : `Incorrect, correct is ${result.correct ?? "—"}`;
+          ? t("feedback.skipped", { label: correctLabel ?? "—" })
+          : result.credit > 0
+            ? t("feedback.partial", { credit: formatPercent(result.credit * 100), label: correctLabel ?? "—" })
+            : t("feedback.incorrect", { label: correctLabel ?? "—" });
+      if (isStudyMode) message += formatNextReview(result.nextReviewDays);
     } else if (hintUsed) {
-      message = `Hint used: Correct answer is ${q.correct_label ?? "—"}. (-25 points)`;
+      message = `${t("feedback.hintUsed", { label: toDisplayLabel(attempt, q, getCorrectAnswer(q)) ?? "—" })}${isStudyMode ? "" : ` ${t("feedback.hintPenalty")}`}`;
     }
 
     feedbackMessage.textContent = message;
+    const explanation = evaluated ? createExplanationPanel(q) : null;
+    if (explanation) feedbackMessage.appendChild(explanation);
+    const articlePanel = evaluated ? createArticlePanel(q, attempt.feedback.evaluationByQid[qid].status !== "correct") : null;
+    if (articlePanel) feedbackMessage.appendChild(articlePanel);
     feedbackMessage.style.display = message ? "block" : "none";
   }
 }
 
 function handleFeedbackHint() {
-  if (!attempt || attempt.mode !== FEEDBACK_MODE) return;
+  if (!attempt || !usesInstantFeedback(attempt.mode)) return;
   const qid = attempt.questionIds[currentIndex];
   const q = getQuestionById(qid);
   if (!q) return;
@@ -651,7 +1793,7 @@ function handleFeedbackHint() {
 
   attempt.feedback.hintUsedByQid[qid] = true;
 
-  if (typeof window.awardPoints === "function") {
+  if (attempt.mode === FEEDBACK_MODE && typeof window.awardPoints === "function") {
     window.awardPoints(attempt, {
       isCorrect: false,
       timeTaken: null,
@@ -660,7 +1802,7 @@ function handleFeedbackHint() {
     });
   }
 
-  if (typeof window.checkAndAwardBadges === "function") {
+  if (attempt.mode === FEEDBACK_MODE && typeof window.checkAndAwardBadges === "function") {
     window.checkAndAwardBadges(attempt);
   }
 
@@ -669,7 +1811,7 @@ function handleFeedbackHint() {
 }
 
 function handleFeedbackSkip() {
-  if (!attempt || attempt.mode !== FEEDBACK_MODE) return;
+  if (!attempt || !usesInstantFeedback(attempt.mode)) return;
   const qid = attempt.questionIds[currentIndex];
   const q = getQuestionById(qid);
   if (!q) return;
@@ -685,7 +1827,7 @@ function handleFeedbackSkip() {
     ? Math.max(0, Math.floor((Date.now() - startedAt) / 1000))
     : null;
 
-  if (typeof window.awardPoints === "function") {
+  if (attempt.mode === FEEDBACK_MODE && typeof window.awardPoints === "function") {
     window.awardPoints(attempt, {
       isCorrect: false,
       timeTaken,
@@ -695,15 +1837,18 @@ function handleFeedbackSkip() {
     });
   }
 
-  if (typeof window.checkAndAwardBadges === "function") {
+  if (attempt.mode === FEEDBACK_MODE && typeof window.checkAndAwardBadges === "function") {
     window.checkAndAwardBadges(attempt);
   }
 
+  const review = attempt.mode === STUDY_MODE ? recordStudyReview(qid, "skipped") : null;
+
   attempt.feedback.evaluationByQid[qid] = {
     status: "skipped",
     your: null,
-    correct: q.correct_label,
-    timeTaken
+    correct: getCorrectAnswer(q),
+    timeTaken,
+    nextReviewDays: review ? review.interval : null
   };
 
   saveAttempt();
@@ -712,13 +1857,106 @@ function handleFeedbackSkip() {
   if (maybeAutoFinalizeFeedbackMode()) return;
 }
 
+// Answers are always stored under the original choice labels; `choiceOrderByQid`
+// only changes the order (and hence the displayed A-D labels) of the choices.
+function buildChoiceOrder(questionIds, random = Math.random) {
+  const order = {};
+  questionIds.forEach((qid) => {
+    const q = getQuestionById(qid);
+    if (q && Array.isArray(q.choices)) order[qid] = shuffle(q.choices.map(c => c.label), random);
+  });
+  return order;
+}
+
+function getChoiceOrder(targetAttempt, question) {
+  const labels = question.choices.map(c => c.label);
+  const order = targetAttempt?.choiceOrderByQid?.[question.id];
+  const isValid = Array.isArray(order) &&
+    order.length === labels.length &&
+    labels.every(label => order.includes(label));
+  return isValid ? order : labels;
+}
+
+function getDisplayChoices(targetAttempt, question) {
+  const labels = question.choices.map(c => c.label);
+  return getChoiceOrder(targetAttempt, question).map((label, index) => ({
+    ...question.choices.find(c => c.label === label),
+    displayLabel: labels[index]
+  }));
+}
+
+// Multiple-response answers (label lists) are shown as "A, C".
+function toDisplayLabel(targetAttempt, question, originalLabel) {
+  if (Array.isArray(originalLabel)) {
+    return originalLabel.length
+      ? originalLabel.map(label => toDisplayLabel(targetAttempt, question, label)).sort().join(", ")
+      : null;
+  }
+  if (!originalLabel || !question) return originalLabel;
+  const index = getChoiceOrder(targetAttempt, question).indexOf(originalLabel);
+  return index >= 0 ? question.choices[index].label : originalLabel;
+}
+
+function getScenarioPosition(targetAttempt, qid) {
+  const key = getScenarioKey(getQuestionById(qid));
+  if (!key) return null;
+  const siblings = targetAttempt.questionIds.filter(id => getScenarioKey(getQuestionById(id)) === key);
+  return { key, index: siblings.findIndex(id => sameQuestionId(id, qid)), total: siblings.length };
+}
+
+function createScenarioPanel(question, position, open) {
+  const panel = document.createElement("details");
+  panel.className = "scenarioPanel";
+  panel.open = open;
+
+  const summary = document.createElement("summary");
+  summary.textContent = position && position.total > 1
+    ? t("scenario.position", { index: position.index + 1, total: position.total })
+    : t("scenario.title");
+  panel.appendChild(summary);
+
+  const body = document.createElement("div");
+  body.className = "scenarioText";
+  body.textContent = question.scenario_text;
+  panel.appendChild(body);
+
+  return panel;
+}
+
+function createScenarioReviewHeader(viewed, question) {
+  const key = getScenarioKey(question);
+  const siblings = viewed.questionIds.filter(id => getScenarioKey(getQuestionById(id)) === key);
+  const correct = siblings.filter(id => viewed.results?.[id]?.status === "correct").length;
+
+  const header = document.createElement("div");
+  header.className = "reviewItem scenarioReview";
+
+  const top = document.createElement("div");
+  top.className = "reviewTop";
+  top.innerHTML = `<strong></strong> <span class="muted small mono"></span>`;
+  top.querySelector("strong").textContent = t("scenario.title");
+  top.querySelector("span").textContent = `${question.exam ?? ""} • ${key} • ${t("scenario.score", { correct, total: siblings.length })}`;
+
+  header.appendChild(top);
+  if (question.scenario_text) header.appendChild(createScenarioPanel(question, null, false));
+  return header;
+}
+
 function renderJumpBar() {
   const bar = $("jumpBar");
   bar.innerHTML = "";
+  const scenarioKeys = attempt.questionIds.map(qid => getScenarioKey(getQuestionById(qid)));
   attempt.questionIds.forEach((qid, idx) => {
     const btn = document.createElement("button");
     btn.className = "jumpBtn secondary";
     btn.textContent = String(idx + 1);
+    const scenarioKey = scenarioKeys[idx];
+    if (scenarioKey) {
+      btn.classList.add("scenario");
+      if (scenarioKeys[idx - 1] !== scenarioKey) btn.classList.add("scenarioStart");
+      if (scenarioKeys[idx + 1] !== scenarioKey) btn.classList.add("scenarioEnd");
+      btn.title = t("scenario.jumpTitle", { key: scenarioKey });
+    }
     const ans = attempt.answers[qid];
     if (attempt.submitted && attempt.results) {
       const r = attempt.results[qid];
@@ -729,207 +1967,735 @@ function renderJumpBar() {
       if (ans) btn.classList.add("answered");
       else btn.classList.add("unanswered");
     }
+    if (isFlagged(attempt, qid)) {
+      btn.classList.add("flagged");
+      btn.title = btn.title ? `${btn.title} • ${t("flag.flagged")}` : t("flag.flagged");
+    }
     if (idx === currentIndex) btn.classList.add("current");
     btn.onclick = () => { currentIndex = idx; renderExam(); };
     bar.appendChild(btn);
   });
 }
 
-function renderExam() {
-  clampCurrentIndex();
-  const total = attempt.questionIds.length;
-  $("attemptInfo").textContent = `${attempt.id.slice(0,8)} • ${answeredCount()}/${total} answered`;
-  updateTimerInfo();
-  $("progressText").textContent = `Question ${currentIndex + 1} of ${total}`;
+// The "why" behind the key: `explanation` (optional on legacy questions) or
+// `rationale_short` (backend pipeline), plus the AI validator's `review_reasons`.
+function createExplanationPanel(q) {
+  const text = q?.explanation || q?.rationale_short || "";
+  const reasons = normalizeReviewReasons(q?.review_reasons);
+  if (!text && !reasons.length) return null;
+
+  const panel = document.createElement("div");
+  panel.className = "explanation";
+  if (text) {
+    const title = document.createElement("strong");
+    title.textContent = t("explanation.title");
+    const body = document.createElement("div");
+    body.className = "explanationText";
+    body.textContent = text;
+    panel.appendChild(title);
+    panel.appendChild(body);
+  }
+  if (reasons.length) {
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    summary.textContent = t("explanation.reviewReasons", { count: reasons.length });
+    const list = document.createElement("ul");
+    reasons.forEach((reason) => {
+      const li = document.createElement("li");
+      li.textContent = reason;
+      list.appendChild(li);
+    });
+    details.appendChild(summary);
+    details.appendChild(list);
+    panel.appendChild(details);
+  }
+  return panel;
+}
 
-  renderJumpBar();
+// AI items point at their source article through `source.gdpr_ref` ("gdpr_35");
+// pipeline items carry `article_ref`, and legacy explanations may cite "Article 35".
+function getQuestionArticleRef(q) {
+  const ref = q?.source?.gdpr_ref || q?.article_ref;
+  if (ref && /\d/.test(ref)) return String(ref);
+  const cited = String(q?.explanation || q?.rationale_short || "").match(/\bArt(?:icle|\.)\s*\d+/i);
+  return cited ? cited[0] : null;
+}
 
-  const qid = attempt.questionIds[currentIndex];
-  const q = getQuestionById(qid);
-  if (!q) {
-    resetOutdatedAttempt("Saved attempt was outdated and has been cleared.");
-    return;
-  }
-  const your = attempt.answers[qid] || null;
-  const isFeedbackMode = attempt.mode === FEEDBACK_MODE;
+function fillArticleText(container, sentences, highlighted, full) {
+  container.innerHTML = "";
+  const indexes = full ? sentences.map((sentence, idx) => idx) : highlighted;
+  indexes.forEach((idx) => {
+    const line = document.createElement(full ? "span" : "p");
+    if (highlighted.includes(idx)) {
+      const mark = document.createElement("mark");
+      mark.textContent = sentences[idx];
+      line.appendChild(mark);
+    } else {
+      line.textContent = sentences[idx];
+    }
+    container.appendChild(line);
+    if (full) container.appendChild(document.createTextNode(" "));
+  });
+}
 
-  if (isFeedbackMode) {
-    ensureFeedbackAttemptState();
-    const alreadyScored = attempt.feedback.scoredQids.includes(qid);
-    if (!alreadyScored && !Number.isFinite(Number(attempt.feedback.questionStartedAtByQid[qid]))) {
-      attempt.feedback.questionStartedAtByQid[qid] = Date.now();
-      saveAttempt();
+// Collapsible panel with the referenced GDPR article: the sentences closest to the
+// question and its keyed answer, and a toggle to read the whole article with them marked.
+function createArticlePanel(q, open) {
+  const ref = getQuestionArticleRef(q);
+  if (!ref || typeof window.findGdprArticle !== "function") return null;
+
+  const panel = document.createElement("details");
+  panel.className = "articlePanel";
+  const summary = document.createElement("summary");
+  summary.textContent = t("article.title", { number: ref.match(/\d+/)[0] });
+  const body = document.createElement("div");
+  body.className = "articleText";
+  body.textContent = t("article.loading");
+  panel.appendChild(summary);
+  panel.appendChild(body);
+
+  let loaded = false;
+  const load = async () => {
+    if (loaded) return;
+    loaded = true;
+    let article;
+    try {
+      article = window.findGdprArticle(await loadGdprArticles(), ref);
+    } catch (error) {
+      loaded = false;
+      body.textContent = t("article.unavailable");
+      return;
+    }
+    if (!article) {
+      body.textContent = t("article.notFound", { number: ref.match(/\d+/)[0] });
+      return;
     }
-  }
 
-  const feedbackResult = isFeedbackMode ? attempt.feedback?.evaluationByQid?.[qid] : null;
+    if (article.title) summary.textContent = `${t("article.title", { number: article.number })} – ${article.title}`;
+    const sentences = window.splitArticleSentences(window.articleBody(article));
+    const correctText = (q.choices || []).filter(choice => choice.is_correct).map(choice => choice.text).join(" ");
+    const highlighted = window.findRelevantSentences(sentences, `${q.text} ${correctText}`);
+
+    const text = document.createElement("div");
+    const toggle = document.createElement("button");
+    toggle.className = "secondary";
+    let full = !highlighted.length;
+    const render = () => {
+      fillArticleText(text, sentences, highlighted, full);
+      text.classList.toggle("articleFull", full);
+      toggle.textContent = full ? t("article.showRelevant") : t("article.readFull");
+      toggle.style.display = highlighted.length ? "" : "none";
+    };
+    toggle.onclick = () => { full = !full; render(); };
+    render();
+
+    body.innerHTML = "";
+    if (!highlighted.length) {
+      const hint = document.createElement("div");
+      hint.className = "muted small";
+      hint.textContent = t("article.noMatch");
+      body.appendChild(hint);
+    }
+    body.appendChild(text);
+    body.appendChild(toggle);
+  };
 
-  const card = $("questionCard");
-  card.innerHTML = "";
+  panel.addEventListener("toggle", () => { if (panel.open) load(); });
+  panel.open = !!open;
+  if (open) load();
+  return panel;
+}
 
-  const top = document.createElement("div");
-  top.className = "qTitle";
-  top.innerHTML = `
-    <div class="qNum">#${currentIndex + 1}</div>
-    <div class="muted small mono">${q.exam} • Q${q.number ?? ""} • ID ${q.id}</div>
-    <div class="qMeta muted small">${attempt.submitted ? "Submitted" : "In progress"}</div>
-  `;
-  card.appendChild(top);
+function createNoteEditor(qid) {
+  const panel = document.createElement("details");
+  panel.className = "notePanel";
+  const note = getQuestionNote(qid);
+  panel.open = !!note;
+
+  const summary = document.createElement("summary");
+  summary.textContent = note ? t("notes.mine") : t("notes.add");
+
+  const input = document.createElement("textarea");
+  input.className = "noteInput";
+  input.rows = 3;
+  input.placeholder = t("notes.placeholder");
+  input.value = note ? note.text : "";
+  input.addEventListener("input", () => {
+    setQuestionNote(qid, input.value);
+    summary.textContent = input.value.trim() ? t("notes.mine") : t("notes.add");
+  });
 
-  const text = document.createElement("div");
-  text.className = "qText";
-  text.textContent = q.text;
-  card.appendChild(text);
+  panel.appendChild(summary);
+  panel.appendChild(input);
+  return panel;
+}
 
-  const choices = document.createElement("div");
-  choices.className = "choices";
+// Display label in the current language; exported files use the English
+// REPORT_CATEGORIES labels so maintainers get one consistent wording.
+function reportCategoryLabel(categoryId) {
+  return REPORT_CATEGORIES.some(category => category.id === categoryId) ? t(`report.category.${categoryId}`) : categoryId;
+}
 
-  q.choices.forEach(ch => {
-    const row = document.createElement("label");
-    row.className = "choice";
-    const disableForFeedback = isFeedbackMode && attempt.feedback?.scoredQids?.includes(qid);
-    const disabled = (attempt.submitted || disableForFeedback) ? "disabled" : "";
-    const checked = (your === ch.label) ? "checked" : "";
+function reportHasCorrection(report) {
+  return !!(report.correctedText || report.correctedLabel || Object.keys(report.correctedChoices || {}).length);
+}
 
-    // Post-submit coloring
-    if (attempt.submitted || feedbackResult) {
-      if (ch.is_correct) row.classList.add("correct");
-      if (your && your === ch.label && !ch.is_correct) row.classList.add("yoursWrong");
-    }
+// Inline form for reporting a faulty question. Choice fields use the bank's own
+// labels (not the shuffled display order), and the key defaults to "unchanged"
+// so the form never reveals the answer during an attempt.
+function createReportPanel(q) {
+  const existing = loadIssueReports()[q.id] || null;
+  const panel = document.createElement("details");
+  panel.className = "reportPanel";
+
+  const summary = document.createElement("summary");
+  const setSummary = (report) => {
+    summary.textContent = report ? t("report.reported", { category: reportCategoryLabel(report.category) }) : t("report.action");
+  };
+  setSummary(existing);
+  panel.appendChild(summary);
+
+  const form = document.createElement("div");
+  form.className = "reportForm";
+  if (q.source?.needs_human_review) {
+    const hint = document.createElement("div");
+    hint.className = "muted small";
+    hint.textContent = t("report.alreadyNeedsReview");
+    form.appendChild(hint);
+  }
 
-    row.innerHTML = `
-      <input type="radio" name="q_${qid}" value="${ch.label}" ${checked} ${disabled} />
-      <div class="lbl">${ch.label}</div>
-      <div class="ctext"></div>
-    `;
-    row.querySelector(".ctext").textContent = ch.text;
+  const addField = (labelText, control) => {
+    const label = document.createElement("label");
+    label.className = "reportField";
+    const caption = document.createElement("span");
+    caption.className = "muted small";
+    caption.textContent = labelText;
+    label.appendChild(caption);
+    label.appendChild(control);
+    form.appendChild(label);
+    return control;
+  };
 
-    row.querySelector("input").addEventListener("change", (e) => {
-      const selected = e.target.value;
-      attempt.answers[qid] = selected;
-
-      const startedAt = Number(attempt.feedback?.questionStartedAtByQid?.[qid]);
-      const timeTaken = Number.isFinite(startedAt)
-        ? Math.max(0, Math.floor((Date.now() - startedAt) / 1000))
-        : null;
-
-      if (attempt.mode === FEEDBACK_MODE) {
-        ensureFeedbackAttemptState();
-
-        const alreadyScored = attempt.feedback.scoredQids.includes(qid);
-        const isCorrect = selected === q.correct_label;
-
-        if (!alreadyScored) {
-          if (typeof window.awardPoints === "function") {
-            window.awardPoints(attempt, {
-              isCorrect,
-              timeTaken,
-              usedHint: !!attempt.feedback?.hintUsedByQid?.[qid],
-              skipped: false,
-              questionId: qid
-            });
-          }
-
-          if (typeof window.checkAndAwardBadges === "function") {
-            window.checkAndAwardBadges(attempt);
-          }
-        }
-
-        attempt.feedback.evaluationByQid[qid] = {
-          status: isCorrect ? "correct" : "wrong",
-          your: selected,
-          correct: q.correct_label,
-          timeTaken
-        };
-
-        saveAttempt();
-        renderExam();
-
-        if (maybeAutoFinalizeFeedbackMode()) return;
-
-        const indexAtSelection = currentIndex;
-        window.setTimeout(() => {
-          if (!attempt || attempt.mode !== FEEDBACK_MODE) return;
-          if (currentIndex !== indexAtSelection) return;
-          if (currentIndex >= attempt.questionIds.length - 1) return;
-          currentIndex += 1;
-          saveAttempt();
-          renderExam();
-        }, FEEDBACK_NEXT_DELAY_MS);
-        return;
-      }
+  const category = document.createElement("select");
+  REPORT_CATEGORIES.forEach((item) => {
+    const option = document.createElement("option");
+    option.value = item.id;
+    option.textContent = reportCategoryLabel(item.id);
+    category.appendChild(option);
+  });
+  category.value = existing?.category || REPORT_CATEGORIES[0].id;
+  addField(t("report.field.category"), category);
+
+  const text = document.createElement("textarea");
+  text.className = "noteInput";
+  text.rows = 3;
+  text.value = existing?.correctedText || q.text;
+  addField(t("report.field.text"), text);
+
+  const choiceInputs = (q.choices || []).map((choice) => {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = existing?.correctedChoices?.[choice.label] ?? choice.text;
+    addField(t("report.field.choice", { label: choice.label }), input);
+    return { label: choice.label, original: choice.text, input };
+  });
 
-      saveAttempt();
-      renderExam();
+  const key = document.createElement("select");
+  [["", t("report.unchanged")], ...(q.choices || []).map(choice => [choice.label, choice.label])].forEach(([value, labelText]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = labelText;
+    key.appendChild(option);
+  });
+  key.value = existing?.correctedLabel || "";
+  // Corrections to a multiple-response key go in the comment.
+  if (!isMultipleResponse(q)) addField(t("report.field.key"), key);
+
+  const comment = document.createElement("textarea");
+  comment.className = "noteInput";
+  comment.rows = 2;
+  comment.placeholder = t("report.commentPlaceholder");
+  comment.value = existing?.comment || "";
+  addField(t("report.field.comment"), comment);
+
+  const actions = document.createElement("div");
+  actions.className = "controls";
+  const status = document.createElement("span");
+  status.className = "muted small";
+
+  const saveBtn = document.createElement("button");
+  saveBtn.className = "secondary";
+  saveBtn.textContent = existing ? t("report.update") : t("report.save");
+  saveBtn.onclick = () => {
+    const correctedChoices = {};
+    choiceInputs.forEach(({ label, original, input }) => {
+      const value = input.value.trim();
+      if (value && value !== original) correctedChoices[label] = value;
     });
+    const correctedText = text.value.trim();
+    const report = {
+      qid: q.id,
+      exam: q.exam ?? null,
+      number: q.number ?? null,
+      isAi: !!isAiQuestion(q),
+      category: category.value,
+      comment: comment.value.trim(),
+      correctedText: correctedText && correctedText !== q.text ? correctedText : null,
+      correctedChoices,
+      correctedLabel: key.value && key.value !== q.correct_label ? key.value : null,
+      reportedAt: Date.now()
+    };
+    const reports = loadIssueReports();
+    reports[q.id] = report;
+    saveIssueReports(reports);
+    setSummary(report);
+    saveBtn.textContent = t("report.update");
+    removeBtn.style.display = "";
+    status.textContent = t("report.saved");
+  };
 
-    choices.appendChild(row);
-  });
+  const removeBtn = document.createElement("button");
+  removeBtn.className = "secondary";
+  removeBtn.textContent = t("report.remove");
+  removeBtn.style.display = existing ? "" : "none";
+  removeBtn.onclick = () => {
+    removeIssueReport(q.id);
+    setSummary(null);
+    saveBtn.textContent = t("report.save");
+    removeBtn.style.display = "none";
+    status.textContent = t("report.removed");
+  };
 
-  card.appendChild(choices);
+  actions.appendChild(saveBtn);
+  actions.appendChild(removeBtn);
+  actions.appendChild(status);
+  form.appendChild(actions);
+  panel.appendChild(form);
+  return panel;
+}
 
-  updateFeedbackControls(isFeedbackMode, qid, q);
+function removeIssueReport(qid) {
+  const reports = loadIssueReports();
+  delete reports[qid];
+  saveIssueReports(reports);
+}
 
-  $("prevBtn").disabled = (currentIndex === 0);
-  $("nextBtn").disabled = (currentIndex === attempt.questionIds.length - 1);
+// Returns a copy of the bank question with the reported corrections applied, in
+// the `extra_questions.json` schema, so `mergeQuestionBanks()` replaces it by id.
+function applyReportToQuestion(q, report) {
+  const corrected = JSON.parse(JSON.stringify(q));
+  const correctLabel = report.correctedLabel;
+  if (report.correctedText) corrected.text = report.correctedText;
+  corrected.choices = (corrected.choices || []).map(choice => ({
+    ...choice,
+    text: report.correctedChoices?.[choice.label] ?? choice.text,
+    ...(correctLabel ? { is_correct: choice.label === correctLabel } : {})
+  }));
+  if (correctLabel) corrected.correct_label = correctLabel;
+  const source = corrected.source && typeof corrected.source === "object" ? corrected.source : {};
+  corrected.source = {
+    ...source,
+    notes: [
+      ...(Array.isArray(source.notes) ? source.notes : []),
+      `Reported as ${REPORT_CATEGORIES.find(category => category.id === report.category)?.label || report.category}${report.comment ? `: ${report.comment}` : ""}`
+    ]
+  };
+  return corrected;
 }
 
-function scoreAttempt() {
-  const results = {}; // per qid: {status, correct, your}
-  let correct = 0;
-  let wrong = 0;
-  let unanswered = 0;
+async function exportReportPatch() {
+  const status = $("reportsStatus");
+  let legacyBank = null;
+  const questions = [];
+  let skipped = 0;
 
-  attempt.questionIds.forEach(qid => {
-    const q = getQuestionById(qid);
-    if (!q) return;
-    const correctLabel = q.correct_label;
-    const your = attempt.answers[qid] || null;
-    let status = "unanswered";
-    if (!your) {
-      unanswered++;
-    } else if (your === correctLabel) {
-      status = "correct";
-      correct++;
-    } else {
-      status = "wrong";
-      wrong++;
-    }
-    results[qid] = { status, correct: correctLabel, your };
+  for (const report of Object.values(loadIssueReports())) {
+    let q = getQuestionById(report.qid);
+    if (!q && !report.isAi && !legacyBank) {
+      try {
+        legacyBank = await loadQuestionBank(LEGACY_SOURCE);
+      } catch (error) {
+        legacyBank = { question_count: 0, questions: [] };
+      }
+    }
+    q = q || findQuestionInBank(legacyBank, report.qid);
+    if (!q || isAiQuestion(q) || !reportHasCorrection(report)) {
+      skipped += 1;
+      continue;
+    }
+    questions.push(applyReportToQuestion(q, report));
+  }
+
+  if (!questions.length) {
+    status.textContent = t("reports.noPatch");
+    return;
+  }
+  downloadJson("extra_questions.reported.json", { question_count: questions.length, questions });
+  status.textContent = `${t("reports.patchExported", { count: questions.length })}${skipped ? ` ${t("reports.patchSkipped", { count: skipped })}` : ""}`;
+}
+
+function exportReportOverrides() {
+  const overrides = Object.values(loadIssueReports()).map(report => ({
+    id: report.qid,
+    source: report.isAi ? AI_SOURCE : LEGACY_SOURCE,
+    exam: report.exam,
+    number: report.number,
+    category: report.category,
+    comment: report.comment || "",
+    reportedAt: new Date(report.reportedAt).toISOString(),
+    changes: {
+      ...(report.correctedText ? { text: report.correctedText } : {}),
+      ...(Object.keys(report.correctedChoices || {}).length ? { choices: report.correctedChoices } : {}),
+      ...(report.correctedLabel ? { correct_label: report.correctedLabel } : {})
+    }
+  }));
+  if (!overrides.length) {
+    $("reportsStatus").textContent = t("reports.none");
+    return;
+  }
+  downloadJson("question_overrides.json", {
+    format: OVERRIDES_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    overrides
+  });
+  $("reportsStatus").textContent = t("reports.overridesExported", { count: overrides.length });
+}
+
+function renderReportsList() {
+  const list = $("reportsList");
+  list.innerHTML = "";
+  const reports = Object.values(loadIssueReports()).sort((a, b) => (Number(b.reportedAt) || 0) - (Number(a.reportedAt) || 0));
+  $("reportsCount").textContent = reports.length
+    ? t("reports.count", { count: reports.length })
+    : t("reports.empty");
+  $("exportReportPatchBtn").disabled = !reports.length;
+  $("exportReportOverridesBtn").disabled = !reports.length;
+
+  reports.forEach((report) => {
+    const item = document.createElement("div");
+    item.className = "historyItem";
+    const info = document.createElement("div");
+    info.innerHTML = `
+      <div><strong></strong> <span class="muted small"></span></div>
+      <div class="muted small"></div>
+    `;
+    info.querySelector("strong").textContent = reportCategoryLabel(report.category);
+    info.querySelector("span").textContent = `${report.exam ?? ""} • Q${report.number ?? ""} • ID ${report.qid}`;
+    const changes = [
+      report.correctedText ? t("reports.change.text") : null,
+      Object.keys(report.correctedChoices || {}).length ? t("reports.change.choices", { labels: Object.keys(report.correctedChoices).join(", ") }) : null,
+      report.correctedLabel ? t("reports.change.key", { label: report.correctedLabel }) : null
+    ].filter(Boolean);
+    info.querySelector("div.muted").textContent = `${changes.length ? t("reports.corrects", { changes: changes.join(", ") }) : t("reports.noCorrection")}${report.comment ? ` • ${report.comment}` : ""}`;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.className = "secondary";
+    removeBtn.textContent = t("common.remove");
+    removeBtn.onclick = () => {
+      removeIssueReport(report.qid);
+      renderReportsList();
+    };
+
+    item.appendChild(info);
+    item.appendChild(removeBtn);
+    list.appendChild(item);
+  });
+}
+
+function isFlagged(targetAttempt, qid) {
+  return !!targetAttempt?.flagged?.[qid];
+}
+
+function toggleFlag(qid) {
+  if (!attempt || attempt.submitted) return;
+  if (attempt.flagged[qid]) delete attempt.flagged[qid];
+  else attempt.flagged[qid] = true;
+  saveAttempt();
+  renderExam();
+}
+
+// Index of the next flagged question after the current one, wrapping around; -1 if none.
+function findNextFlaggedIndex() {
+  const total = attempt.questionIds.length;
+  for (let step = 1; step <= total; step += 1) {
+    const idx = (currentIndex + step) % total;
+    if (isFlagged(attempt, attempt.questionIds[idx])) return idx;
+  }
+  return -1;
+}
+
+function createQuestionTitle(q, numberText, metaText) {
+  const top = document.createElement("div");
+  top.className = "qTitle";
+  top.innerHTML = `
+    <div class="qNum"></div>
+    <div class="muted small mono"></div>
+    <div class="qMeta muted small"></div>
+  `;
+  top.querySelector(".qNum").textContent = numberText;
+  top.querySelector(".mono").textContent = `${q.exam} • Q${q.number ?? ""} • ID ${q.id}`;
+  top.querySelector(".qMeta").textContent = metaText;
+  return top;
+}
+
+function toggleAnswerLabel(answer, label, selected) {
+  const labels = (Array.isArray(answer) ? answer : []).filter(item => item !== label);
+  if (selected) labels.push(label);
+  return labels.length ? labels.sort() : null;
+}
+
+// Scores an answer given in Feedback or Study mode, records it and moves on.
+function evaluateFeedbackAnswer(q, qid, selected) {
+  const startedAt = Number(attempt.feedback?.questionStartedAtByQid?.[qid]);
+  const timeTaken = Number.isFinite(startedAt)
+    ? Math.max(0, Math.floor((Date.now() - startedAt) / 1000))
+    : null;
+
+  ensureFeedbackAttemptState();
+
+  const alreadyScored = attempt.feedback.scoredQids.includes(qid);
+  const grade = gradeAnswer(q, selected);
+  const isCorrect = grade.status === "correct";
+  const review = !alreadyScored && attempt.mode === STUDY_MODE
+    ? recordStudyReview(qid, isCorrect ? "correct" : "wrong")
+    : null;
+
+  if (!alreadyScored && attempt.mode === FEEDBACK_MODE) {
+    if (typeof window.awardPoints === "function") {
+      window.awardPoints(attempt, {
+        isCorrect,
+        credit: grade.credit,
+        timeTaken,
+        usedHint: !!attempt.feedback?.hintUsedByQid?.[qid],
+        skipped: false,
+        questionId: qid
+      });
+    }
+
+    if (typeof window.checkAndAwardBadges === "function") {
+      window.checkAndAwardBadges(attempt);
+    }
+  }
+
+  attempt.feedback.evaluationByQid[qid] = {
+    status: isCorrect ? "correct" : "wrong",
+    credit: grade.credit,
+    your: selected,
+    correct: getCorrectAnswer(q),
+    timeTaken,
+    nextReviewDays: review ? review.interval : null
+  };
+
+  saveAttempt();
+  renderExam();
+
+  if (maybeAutoFinalizeFeedbackMode()) return;
+
+  const indexAtSelection = currentIndex;
+  window.setTimeout(() => {
+    if (!attempt || !usesInstantFeedback(attempt.mode)) return;
+    // Save & exit (or any other navigation) during the delay leaves the exam alone.
+    if (getVisibleSectionId() !== "exam") return;
+    if (currentIndex !== indexAtSelection) return;
+    if (currentIndex >= attempt.questionIds.length - 1) return;
+    currentIndex += 1;
+    saveAttempt();
+    renderExam();
+  }, FEEDBACK_NEXT_DELAY_MS);
+}
+
+function renderExam() {
+  clampCurrentIndex();
+  const total = attempt.questionIds.length;
+  const seedText = attempt.seed ? ` • ${t("exam.seed", { seed: attempt.seed })}` : "";
+  $("attemptInfo").textContent = `${attempt.id.slice(0,8)}${seedText} • ${t("exam.answeredCount", { answered: answeredCount(), total })}`;
+  $("shareLinkBtn").style.display = canSharePaper(attempt) ? "" : "none";
+  updateTimerInfo();
+  $("progressText").textContent = t("exam.progress", { index: currentIndex + 1, total });
+
+  renderJumpBar();
+
+  const qid = attempt.questionIds[currentIndex];
+  const q = getQuestionById(qid);
+  if (!q) {
+    resetOutdatedAttempt();
+    return;
+  }
+  const your = attempt.answers[qid] || null;
+  const isFeedbackMode = usesInstantFeedback(attempt.mode);
+  if (!attempt.submitted) switchDwellQuestion(qid);
+
+  if (isFeedbackMode) {
+    ensureFeedbackAttemptState();
+    const alreadyScored = attempt.feedback.scoredQids.includes(qid);
+    if (!alreadyScored && !Number.isFinite(Number(attempt.feedback.questionStartedAtByQid[qid]))) {
+      attempt.feedback.questionStartedAtByQid[qid] = Date.now();
+      saveAttempt();
+    }
+  }
+
+  const feedbackResult = isFeedbackMode ? attempt.feedback?.evaluationByQid?.[qid] : null;
+
+  const card = $("questionCard");
+  card.innerHTML = "";
+
+  const top = createQuestionTitle(q, `#${currentIndex + 1}`, attempt.submitted ? t("exam.submitted") : t("exam.inProgress"));
+  if (attempt.mode === EXAM_MODE && !attempt.submitted) {
+    const flagBtn = document.createElement("button");
+    flagBtn.className = "secondary flagBtn";
+    flagBtn.classList.toggle("active", isFlagged(attempt, qid));
+    flagBtn.textContent = isFlagged(attempt, qid) ? t("flag.flagged") : t("flag.action");
+    flagBtn.setAttribute("aria-pressed", String(isFlagged(attempt, qid)));
+    flagBtn.onclick = () => toggleFlag(qid);
+    top.appendChild(flagBtn);
+  }
+  card.appendChild(top);
+
+  if (q.scenario_text) {
+    card.appendChild(createScenarioPanel(q, getScenarioPosition(attempt, qid), true));
+  }
+
+  const text = document.createElement("div");
+  text.className = "qText";
+  text.textContent = q.text;
+  card.appendChild(text);
+
+  const choices = document.createElement("div");
+  choices.className = "choices";
+
+  const multiple = isMultipleResponse(q);
+  const correctAnswer = getCorrectAnswer(q);
+  if (multiple) {
+    const prompt = document.createElement("div");
+    prompt.className = "muted small";
+    prompt.textContent = t("exam.selectCount", { count: correctAnswer.length });
+    card.appendChild(prompt);
+  }
+
+  getDisplayChoices(attempt, q).forEach(ch => {
+    const row = document.createElement("label");
+    row.className = "choice";
+    const disableForFeedback = isFeedbackMode && attempt.feedback?.scoredQids?.includes(qid);
+    const checked = isLabelSelected(your, ch.label) ? "checked" : "";
+    // No more boxes than the key has correct answers can be ticked.
+    const selectionFull = multiple && !checked && Array.isArray(your) && your.length >= correctAnswer.length;
+    const disabled = (attempt.submitted || disableForFeedback || selectionFull) ? "disabled" : "";
+
+    // Post-submit coloring
+    if (attempt.submitted || feedbackResult) {
+      if (ch.is_correct) row.classList.add("correct");
+      if (isLabelSelected(your, ch.label) && !ch.is_correct) row.classList.add("yoursWrong");
+    }
+
+    row.innerHTML = `
+      <input type="${multiple ? "checkbox" : "radio"}" name="q_${qid}" value="${ch.label}" ${checked} ${disabled} />
+      <div class="lbl">${ch.displayLabel}</div>
+      <div class="ctext"></div>
+    `;
+    row.querySelector(".ctext").textContent = ch.text;
+
+    row.querySelector("input").addEventListener("change", (e) => {
+      const selected = multiple
+        ? toggleAnswerLabel(attempt.answers[qid], ch.label, e.target.checked)
+        : e.target.value;
+      if (selected) attempt.answers[qid] = selected;
+      else delete attempt.answers[qid];
+
+      // A multiple-response answer is checked once as many choices are ticked as the key has.
+      if (usesInstantFeedback(attempt.mode) && (!multiple || selected?.length === correctAnswer.length)) {
+        evaluateFeedbackAnswer(q, qid, selected);
+        return;
+      }
+
+      saveAttempt();
+      renderExam();
+    });
+
+    choices.appendChild(row);
+  });
+
+  card.appendChild(choices);
+  if (isFeedbackMode) card.appendChild(createNoteEditor(qid));
+  card.appendChild(createReportPanel(q));
+
+  updateFeedbackControls(isFeedbackMode, qid, q);
+
+  $("prevBtn").disabled = (currentIndex === 0);
+  $("nextBtn").disabled = (currentIndex === attempt.questionIds.length - 1);
+
+  const flaggedCount = attempt.questionIds.filter(id => isFlagged(attempt, id)).length;
+  const nextFlaggedBtn = $("nextFlaggedBtn");
+  nextFlaggedBtn.style.display = attempt.mode === EXAM_MODE && !attempt.submitted ? "" : "none";
+  nextFlaggedBtn.textContent = t("flag.next", { count: flaggedCount });
+  nextFlaggedBtn.disabled = flaggedCount === 0 || (flaggedCount === 1 && isFlagged(attempt, qid));
+}
+
+// A submitted attempt is never scored again, so its history entry and the mistake
+// deck are only updated once per attempt.
+function scoreAttempt() {
+  if (attempt.submitted) return;
+  switchDwellQuestion(null);
+  const results = {}; // per qid: {status, credit, correct, your, timeSpent}
+  const scheme = getMultipleResponseScheme();
+  let correct = 0;
+  let wrong = 0;
+  let unanswered = 0;
+  let score = 0;
+
+  attempt.questionIds.forEach(qid => {
+    const q = getQuestionById(qid);
+    if (!q) return;
+    const your = attempt.answers[qid] || null;
+    const { status, credit } = gradeAnswer(q, your, scheme);
+    if (status === "unanswered") unanswered++;
+    else if (status === "correct") correct++;
+    else wrong++;
+    score += credit;
+    results[qid] = { status, credit, correct: getCorrectAnswer(q), your, timeSpent: getTimeSpentSeconds(attempt, qid) };
   });
 
   attempt.submitted = true;
   attempt.results = results;
   const now = Date.now();
   const elapsedSeconds = Math.max(0, Math.floor((now - (attempt.startedAt || now)) / 1000));
-  attempt.summary = { correct, wrong, unanswered, total: attempt.questionIds.length, elapsedSeconds };
+  attempt.summary = { correct, wrong, unanswered, score: roundScore(score), total: attempt.questionIds.length, elapsedSeconds };
+  attempt.summary.scaled = computeAttemptScaledScore(attempt);
   stopTimer();
   saveAttempt();
+  archiveAttempt(attempt);
+  recordAttemptMistakes(attempt);
 }
 
 function finalizeFeedbackMode() {
+  if (attempt.submitted) return;
+  switchDwellQuestion(null);
   const results = {};
+  const scheme = getMultipleResponseScheme();
   let correct = 0;
   let wrong = 0;
   let unanswered = 0;
+  let score = 0;
 
   attempt.questionIds.forEach((qid) => {
     const q = getQuestionById(qid);
-    const correctLabel = q?.correct_label ?? null;
     const your = attempt.answers[qid] || null;
-    let status = "unanswered";
-
-    if (!your) {
-      unanswered += 1;
-    } else if (your === correctLabel) {
-      status = "correct";
-      correct += 1;
-    } else {
-      status = "wrong";
-      wrong += 1;
-    }
-
-    results[qid] = { status, correct: correctLabel, your };
+    const { status, credit } = q ? gradeAnswer(q, your, scheme) : { status: your ? "wrong" : "unanswered", credit: 0 };
+
+    if (status === "unanswered") unanswered += 1;
+    else if (status === "correct") correct += 1;
+    else wrong += 1;
+    score += credit;
+
+    const timeTaken = Number(attempt.feedback?.evaluationByQid?.[qid]?.timeTaken);
+    results[qid] = {
+      status,
+      credit,
+      correct: getCorrectAnswer(q),
+      your,
+      timeTaken: Number.isFinite(timeTaken) ? timeTaken : null,
+      timeSpent: getTimeSpentSeconds(attempt, qid)
+    };
   });
 
   const now = Date.now();
@@ -942,28 +2708,97 @@ function finalizeFeedbackMode() {
     correct,
     wrong,
     unanswered,
+    score: roundScore(score),
     total: attempt.questionIds.length,
     elapsedSeconds,
     points: Number.isFinite(Number(attempt.points)) ? Number(attempt.points) : 0,
     badges,
     badgesCount: badges.length
   };
+  attempt.summary.scaled = computeAttemptScaledScore(attempt);
 
   stopTimer();
   saveAttempt();
+  archiveAttempt(attempt);
+  recordAttemptMistakes(attempt);
+}
+
+// Scaled score under the current scoring model. It is stored in the summary, so
+// history keeps the verdict an attempt was given even if the model changes later.
+function computeAttemptScaledScore(scoredAttempt) {
+  const model = loadScoringModel();
+  if (!model || typeof window.computeScaledResult !== "function" || !scoredAttempt?.results) return null;
+  const items = scoredAttempt.questionIds
+    .filter(qid => scoredAttempt.results[qid])
+    .map(qid => ({
+      domain: getQuestionDomain(getQuestionById(qid)),
+      status: scoredAttempt.results[qid].status,
+      credit: scoredAttempt.results[qid].credit
+    }));
+  return window.computeScaledResult(items, model);
+}
+
+// Sum of per-question credit; equals `correct` unless partial credit was given.
+function roundScore(score) {
+  return Math.round(score * 100) / 100;
 }
 
 function finishAttemptForCurrentMode() {
   if (!attempt) return;
-  if (attempt.mode === FEEDBACK_MODE) {
+  if (usesInstantFeedback(attempt.mode)) {
     finalizeFeedbackMode();
     return;
   }
   scoreAttempt();
 }
 
+function submitAndShowResults() {
+  finishAttemptForCurrentMode();
+  renderExam(); // reflect colors in exam view
+  renderResults();
+  show("results");
+}
+
+// Overview shown before submitting: every question with its answered/flagged
+// state. The attempt timer keeps running while this screen is open.
+function renderSubmitReview() {
+  const total = attempt.questionIds.length;
+  const answered = answeredCount();
+  const flagged = attempt.questionIds.filter(qid => isFlagged(attempt, qid)).length;
+  switchDwellQuestion(null);
+  updateTimerInfo();
+  $("submitReviewSummary").textContent = t("submitReview.summary", { answered, total, unanswered: total - answered, flagged });
+
+  const grid = $("submitReviewGrid");
+  grid.innerHTML = "";
+  attempt.questionIds.forEach((qid, idx) => {
+    const btn = document.createElement("button");
+    btn.className = "jumpBtn secondary";
+    btn.textContent = String(idx + 1);
+    btn.classList.add(attempt.answers[qid] ? "answered" : "unanswered");
+    if (isFlagged(attempt, qid)) btn.classList.add("flagged");
+    btn.title = `${attempt.answers[qid] ? t("submitReview.answered") : t("submitReview.unanswered")}${isFlagged(attempt, qid) ? ` • ${t("flag.flagged")}` : ""}`;
+    btn.onclick = () => { returnToQuestion(idx); };
+    grid.appendChild(btn);
+  });
+
+  const firstUnanswered = attempt.questionIds.findIndex(qid => !attempt.answers[qid]);
+  const firstUnansweredBtn = $("submitReviewFirstUnansweredBtn");
+  firstUnansweredBtn.style.display = firstUnanswered >= 0 ? "" : "none";
+  firstUnansweredBtn.onclick = () => { returnToQuestion(firstUnanswered); };
+  $("confirmSubmitBtn").textContent = total - answered > 0
+    ? t("submitReview.submitWithBlanks", { count: total - answered })
+    : t("exam.submit");
+}
+
+function returnToQuestion(idx) {
+  currentIndex = idx;
+  renderExam();
+  show("exam");
+}
+
 function maybeAutoFinalizeFeedbackMode() {
-  if (!attempt || attempt.mode !== FEEDBACK_MODE || attempt.submitted) return false;
+  if (!attempt || !usesInstantFeedback(attempt.mode) || attempt.submitted) return false;
   if (currentIndex !== attempt.questionIds.length - 1) return false;
 
   finishAttemptForCurrentMode();
@@ -973,40 +2808,254 @@ function maybeAutoFinalizeFeedbackMode() {
   return true;
 }
 
+function getQuestionDomain(question) {
+  return question && question.exam ? String(question.exam) : "Other";
+}
+
+function domainLabel(domain) {
+  return domain === "Other" ? t("breakdown.other") : domain;
+}
+
+function computeDomainBreakdown(viewed) {
+  const byExam = new Map();
+  const byTopic = new Map();
+
+  const addTo = (groups, key, result) => {
+    if (!groups.has(key)) {
+      groups.set(key, { key, total: 0, correct: 0, wrong: 0, unanswered: 0, seconds: 0, timed: 0 });
+    }
+    const group = groups.get(key);
+    group.total += 1;
+    if (result.status === "correct") group.correct += 1;
+    else if (result.status === "wrong") group.wrong += 1;
+    else group.unanswered += 1;
+    // Dwell time over all visits; attempts from before it was recorded only have
+    // the feedback-mode answer time.
+    const recorded = result.timeSpent ?? result.timeTaken;
+    const seconds = Number(recorded);
+    if (recorded != null && Number.isFinite(seconds)) {
+      group.seconds += seconds;
+      group.timed += 1;
+    }
+  };
+
+  viewed.questionIds.forEach((qid) => {
+    const q = getQuestionById(qid);
+    const r = viewed.results?.[qid];
+    if (!q || !r) return;
+    addTo(byExam, getQuestionDomain(q), r);
+    if (q.topic) addTo(byTopic, q.topic, r);
+  });
+
+  const toRows = (groups) => Array.from(groups.values())
+    .map(group => ({ ...group, percent: group.total ? Math.round((group.correct / group.total) * 100) : 0 }))
+    .sort((a, b) => a.percent - b.percent || b.total - a.total);
+
+  return { byExam: toRows(byExam), byTopic: toRows(byTopic) };
+}
+
+function createBreakdownTable(title, rows) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "breakdownGroup";
+
+  const heading = document.createElement("h3");
+  heading.textContent = title;
+  wrapper.appendChild(heading);
+
+  const table = document.createElement("table");
+  table.className = "breakdownTable";
+  table.innerHTML = `
+    <thead><tr><th></th><th></th><th></th><th></th></tr></thead>
+    <tbody></tbody>
+  `;
+  ["breakdown.group", "breakdown.correct", "breakdown.score", "breakdown.time"].forEach((key, idx) => {
+    table.querySelectorAll("th")[idx].textContent = t(key);
+  });
+  const body = table.querySelector("tbody");
+
+  rows.forEach((row, idx) => {
+    const tr = document.createElement("tr");
+    if (idx === 0 && rows.length > 1 && row.percent < rows[rows.length - 1].percent) tr.classList.add("weakest");
+    const timeText = row.timed ? formatElapsed(row.seconds) : "—";
+    [domainLabel(row.key), `${row.correct} / ${row.total}`, formatPercent(row.percent), timeText].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+
+  wrapper.appendChild(table);
+  return wrapper;
+}
+
+function renderDomainBreakdown(viewed) {
+  const container = $("domainBreakdown");
+  container.innerHTML = "";
+  const { byExam, byTopic } = computeDomainBreakdown(viewed);
+  if (byExam.length) container.appendChild(createBreakdownTable(t("breakdown.byExam"), byExam));
+  if (byTopic.length) container.appendChild(createBreakdownTable(t("breakdown.byTopic"), byTopic));
+}
+
+const SLOWEST_QUESTIONS_SHOWN = 5;
+
+// Average dwell time against the timer budget and the questions that took longest.
+function renderTimeAnalytics(viewed) {
+  const container = $("timeAnalytics");
+  container.innerHTML = "";
+  const timed = viewed.questionIds
+    .map((qid, idx) => ({ qid, idx, seconds: Number(viewed.results?.[qid]?.timeSpent) }))
+    .filter(item => Number.isFinite(item.seconds));
+  if (!timed.length) return;
+
+  const heading = document.createElement("h3");
+  heading.textContent = t("time.title");
+  container.appendChild(heading);
+
+  const average = timed.reduce((sum, item) => sum + item.seconds, 0) / timed.length;
+  const pace = document.createElement("p");
+  pace.className = "muted small";
+  const parts = [t("time.average", { average: formatElapsed(average) })];
+  if (viewed.timerEnabled && viewed.timerMinutes) {
+    const budget = (viewed.timerMinutes * 60) / viewed.questionIds.length;
+    parts.push(t("time.budget", { budget: formatElapsed(budget) }));
+  }
+  pace.textContent = parts.join(" • ");
+  container.appendChild(pace);
+
+  const slowest = timed.filter(item => item.seconds > 0)
+    .sort((a, b) => b.seconds - a.seconds)
+    .slice(0, SLOWEST_QUESTIONS_SHOWN);
+  if (!slowest.length) return;
+
+  const table = document.createElement("table");
+  table.className = "breakdownTable";
+  table.innerHTML = `
+    <caption></caption>
+    <thead><tr><th></th><th></th><th></th><th></th></tr></thead>
+    <tbody></tbody>
+  `;
+  table.querySelector("caption").textContent = t("time.slowest");
+  ["time.number", "time.question", "breakdown.time", "time.result"].forEach((key, idx) => {
+    table.querySelectorAll("th")[idx].textContent = t(key);
+  });
+  const body = table.querySelector("tbody");
+  slowest.forEach((item) => {
+    const q = getQuestionById(item.qid);
+    const status = viewed.results[item.qid]?.status;
+    const tr = document.createElement("tr");
+    [
+      `#${item.idx + 1}`,
+      q ? `${domainLabel(getQuestionDomain(q))} • Q${q.number ?? ""}` : item.qid,
+      formatElapsed(item.seconds),
+      t(`status.${status === "correct" || status === "wrong" ? status : "unanswered"}`)
+    ].forEach((value) => {
+      const td = document.createElement("td");
+      td.textContent = value;
+      tr.appendChild(td);
+    });
+    body.appendChild(tr);
+  });
+  container.appendChild(table);
+}
+
+function renderScoreVerdict(result) {
+  const verdict = $("scoreVerdict");
+  verdict.innerHTML = "";
+  verdict.style.display = result ? "" : "none";
+  if (!result) return;
+
+  const badge = document.createElement("span");
+  badge.className = `badge ${result.passed ? "ok" : "bad"}`;
+  badge.textContent = result.passed ? t("results.pass") : t("results.fail");
+  const text = document.createElement("span");
+  const details = [t("results.scaled", {
+    scaled: result.scaled,
+    max: result.maxScaled,
+    pass: result.passScaled,
+    margin: formatNumber(result.margin, { signDisplay: "exceptZero" })
+  })];
+  if (result.weighted) {
+    details.push(t("results.weightedPercent", { percent: formatNumber(result.percent / 100, { style: "percent", maximumFractionDigits: 1 }) }));
+  }
+  text.textContent = details.join(" • ");
+  verdict.appendChild(badge);
+  verdict.appendChild(text);
+}
+
 function renderResults() {
-  const s = attempt.summary;
-  const isFeedbackMode = attempt.mode === FEEDBACK_MODE;
-  const elapsedText = s.elapsedSeconds != null ? `, time: ${formatDuration(s.elapsedSeconds)}` : "";
-  const pointsText = isFeedbackMode ? `, points: ${s.points ?? 0}` : "";
-  const badgesText = isFeedbackMode ? `, badges: ${s.badgesCount ?? (Array.isArray(s.badges) ? s.badges.length : 0)}` : "";
-  $("scoreLine").textContent = `Score: ${s.correct} / ${s.total}  (wrong: ${s.wrong}, unanswered: ${s.unanswered}${elapsedText}${pointsText}${badgesText})`;
-  $("newAttemptBtn").textContent = `New ${s.total}-question attempt`;
+  const viewed = reviewedAttempt || attempt;
+  const s = viewed.summary;
+  const isFeedbackMode = viewed.mode === FEEDBACK_MODE;
+  const flaggedQids = viewed.questionIds.filter(qid => isFlagged(viewed, qid));
+  const flaggedCorrect = flaggedQids.filter(qid => viewed.results[qid]?.status === "correct").length;
+  const partialCount = viewed.questionIds.filter(qid => viewed.results[qid]?.status === "wrong" && viewed.results[qid]?.credit > 0).length;
+  const details = [
+    t("results.wrong", { count: s.wrong }),
+    partialCount ? t("results.partial", { count: partialCount }) : null,
+    t("results.unanswered", { count: s.unanswered }),
+    flaggedQids.length ? t("results.flagged", { count: flaggedQids.length, correct: flaggedCorrect }) : null,
+    s.elapsedSeconds != null ? t("results.time", { time: formatElapsed(s.elapsedSeconds) }) : null,
+    isFeedbackMode ? t("results.points", { count: s.points ?? 0 }) : null,
+    isFeedbackMode ? t("results.badges", { count: s.badgesCount ?? (Array.isArray(s.badges) ? s.badges.length : 0) }) : null
+  ].filter(Boolean);
+  $("scoreLine").textContent = `${t("results.score", { correct: formatNumber(attemptScore(s)), total: s.total })}  (${details.join(", ")})`;
+  // A retry draws a fresh attempt of the selected size, not of the retried list's size.
+  $("newAttemptBtn").textContent = t("results.newAttempt", { count: viewed.drill ? getSelectedQuestionCount() : s.total });
+  $("newAttemptBtn").style.display = reviewedAttempt ? "none" : "";
+  const retryCount = reviewedAttempt ? 0 : getRetryQuestionIds(viewed).length;
+  $("retryWrongBtn").textContent = t("results.retryWrong", { count: retryCount });
+  $("retryWrongBtn").style.display = retryCount ? "" : "none";
+  $("backHomeBtn").textContent = reviewedAttempt ? t("results.backToProgress") : t("common.backHome");
+  $("shareResultsLinkBtn").style.display = canSharePaper(viewed) ? "" : "none";
+
+  renderScoreVerdict(s.scaled || computeAttemptScaledScore(viewed));
+  renderComposition(viewed);
+  renderDomainBreakdown(viewed);
+  renderTimeAnalytics(viewed);
 
   const list = $("reviewList");
   list.innerHTML = "";
 
   const onlyWrong = $("showOnlyWrong").checked;
+  const onlyFlagged = $("showOnlyFlagged").checked;
+  $("showOnlyFlaggedLabel").style.display = flaggedQids.length ? "" : "none";
+  let lastScenarioKey = null;
 
-  attempt.questionIds.forEach((qid, idx) => {
+  viewed.questionIds.forEach((qid, idx) => {
     const q = getQuestionById(qid);
-    const r = attempt.results[qid];
+    const r = viewed.results[qid];
     if (!q || !r) return;
 
     if (onlyWrong && r.status === "correct") return;
+    if (onlyFlagged && !isFlagged(viewed, qid)) return;
+
+    const scenarioKey = getScenarioKey(q);
+    if (scenarioKey && scenarioKey !== lastScenarioKey) {
+      list.appendChild(createScenarioReviewHeader(viewed, q));
+    }
+    lastScenarioKey = scenarioKey;
 
     const item = document.createElement("div");
     item.className = "reviewItem";
 
     const badge = document.createElement("span");
     badge.className = "badge";
-    if (r.status === "correct") { badge.classList.add("ok"); badge.textContent = "Correct"; }
-    else if (r.status === "wrong") { badge.classList.add("bad"); badge.textContent = "Wrong"; }
-    else { badge.classList.add("warn"); badge.textContent = "Unanswered"; }
+    if (r.status === "correct") { badge.classList.add("ok"); badge.textContent = t("status.correct"); }
+    else if (r.status === "wrong" && r.credit > 0) { badge.classList.add("warn"); badge.textContent = t("status.partial", { credit: formatPercent(r.credit * 100) }); }
+    else if (r.status === "wrong") { badge.classList.add("bad"); badge.textContent = t("status.wrong"); }
+    else { badge.classList.add("warn"); badge.textContent = t("status.unanswered"); }
 
     const top = document.createElement("div");
     top.className = "reviewTop";
     top.innerHTML = `<strong>#${idx + 1}</strong> <span class="muted small mono">${q.exam} • Q${q.number ?? ""} • ID ${q.id}</span>`;
     top.appendChild(badge);
+    if (isFlagged(viewed, qid)) {
+      const flagBadge = document.createElement("span");
+      flagBadge.className = "badge flag";
+      flagBadge.textContent = t("flag.flagged");
+      top.appendChild(flagBadge);
+    }
 
     const qt = document.createElement("div");
     qt.className = "qText";
@@ -1015,14 +3064,14 @@ function renderResults() {
     const ch = document.createElement("div");
     ch.className = "choices";
 
-    q.choices.forEach(c => {
+    getDisplayChoices(viewed, q).forEach(c => {
       const row = document.createElement("div");
       row.className = "choice";
       if (c.is_correct) row.classList.add("correct");
-      if (r.your && r.your === c.label && !c.is_correct) row.classList.add("yoursWrong");
+      if (isLabelSelected(r.your, c.label) && !c.is_correct) row.classList.add("yoursWrong");
 
       row.innerHTML = `
-        <div class="lbl">${c.label}</div>
+        <div class="lbl">${c.displayLabel}</div>
         <div class="ctext"></div>
       `;
       row.querySelector(".ctext").textContent = c.text;
@@ -1032,66 +3081,818 @@ function renderResults() {
     const note = document.createElement("div");
     note.className = "muted small";
     note.style.marginTop = "8px";
-    note.textContent = `Your answer: ${r.your ?? "—"} • Correct answer: ${r.correct ?? "—"}`;
+    note.textContent = t("results.answerLine", { your: toDisplayLabel(viewed, q, r.your) ?? "—", correct: toDisplayLabel(viewed, q, r.correct) ?? "—" });
 
     item.appendChild(top);
     item.appendChild(qt);
     item.appendChild(ch);
     item.appendChild(note);
+    const explanation = createExplanationPanel(q);
+    if (explanation) item.appendChild(explanation);
+    const articlePanel = createArticlePanel(q, false);
+    if (articlePanel) item.appendChild(articlePanel);
+    item.appendChild(createNoteEditor(qid));
+
+    list.appendChild(item);
+  });
+}
+
+// Credit-weighted score; attempts archived before partial credit only have `correct`.
+function attemptScore(summary) {
+  return Number.isFinite(Number(summary?.score)) ? Number(summary.score) : Number(summary?.correct) || 0;
+}
+
+function attemptScorePercent(entry) {
+  const total = Number(entry?.summary?.total) || 0;
+  if (!total) return 0;
+  return Math.round((attemptScore(entry.summary) / total) * 100);
+}
+
+function renderScoreTrend(entries) {
+  const container = $("scoreTrend");
+  container.innerHTML = "";
+
+  const recent = entries.slice(-TREND_ATTEMPTS);
+  if (recent.length < 2) {
+    container.textContent = recent.length ? t("dashboard.trendNeedsMore") : "";
+    return;
+  }
+
+  const svgNs = "http://www.w3.org/2000/svg";
+  const width = 600;
+  const height = 160;
+  const pad = 12;
+  const step = (width - pad * 2) / (recent.length - 1);
+  const points = recent.map((entry, idx) => ({
+    x: pad + idx * step,
+    y: pad + ((100 - attemptScorePercent(entry)) / 100) * (height - pad * 2),
+    label: `${formatDateTime(entry.finishedAt)}: ${formatPercent(attemptScorePercent(entry))}`
+  }));
+
+  const svg = document.createElementNS(svgNs, "svg");
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.setAttribute("role", "img");
+  svg.setAttribute("aria-label", t("dashboard.trendLabel"));
+
+  const line = document.createElementNS(svgNs, "polyline");
+  line.setAttribute("class", "trendLine");
+  line.setAttribute("points", points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(" "));
+  svg.appendChild(line);
+
+  points.forEach((p) => {
+    const dot = document.createElementNS(svgNs, "circle");
+    dot.setAttribute("class", "trendDot");
+    dot.setAttribute("cx", p.x.toFixed(1));
+    dot.setAttribute("cy", p.y.toFixed(1));
+    dot.setAttribute("r", "4");
+    const title = document.createElementNS(svgNs, "title");
+    title.textContent = p.label;
+    dot.appendChild(title);
+    svg.appendChild(dot);
+  });
 
+  container.appendChild(svg);
+}
+
+function renderDashboard() {
+  const history = loadAttemptHistory();
+  const modeLabels = { [EXAM_MODE]: t("mode.exam"), [FEEDBACK_MODE]: t("mode.feedback"), [STUDY_MODE]: t("mode.study") };
+  const sourceLabels = { [LEGACY_SOURCE]: t("source.legacy"), [AI_SOURCE]: t("source.ai"), [MIXED_SOURCE]: t("source.mixed") };
+
+  const totalQuestions = history.reduce((sum, entry) => sum + (Number(entry.summary.total) || 0), 0);
+  const totalSeconds = history.reduce((sum, entry) => sum + (Number(entry.summary.elapsedSeconds) || 0), 0);
+  const averageScore = history.length
+    ? Math.round(history.reduce((sum, entry) => sum + attemptScorePercent(entry), 0) / history.length)
+    : 0;
+  const bestScore = history.reduce((best, entry) => Math.max(best, attemptScorePercent(entry)), 0);
+
+  $("dashboardStats").textContent = history.length
+    ? t("dashboard.stats", {
+      count: history.length,
+      average: formatPercent(averageScore),
+      best: formatPercent(bestScore),
+      perQuestion: formatElapsed(totalQuestions ? totalSeconds / totalQuestions : 0)
+    })
+    : t("dashboard.empty");
+
+  renderScoreTrend(history);
+
+  const list = $("historyList");
+  list.innerHTML = "";
+
+  history.slice().reverse().forEach((entry) => {
+    const s = entry.summary;
+    const item = document.createElement("div");
+    item.className = "historyItem";
+
+    const info = document.createElement("div");
+    info.innerHTML = `
+      <div><strong></strong> <span class="muted small"></span></div>
+      <div class="muted small mono"></div>
+    `;
+    info.querySelector("strong").textContent = `${formatNumber(attemptScore(s))} / ${s.total} (${formatPercent(attemptScorePercent(entry))})`;
+    const verdictText = s.scaled ? ` • ${s.scaled.passed ? t("results.pass") : t("results.fail")} ${s.scaled.scaled}` : "";
+    info.querySelector("span").textContent = `${modeLabels[entry.mode] || entry.mode} • ${sourceLabels[entry.sourceType] || entry.sourceType}${verdictText}`;
+    info.querySelector(".mono").textContent = `${formatDateTime(entry.finishedAt)} • ${t("dashboard.entryTime", {
+      time: formatElapsed(s.elapsedSeconds || 0),
+      perQuestion: formatElapsed(s.total ? (s.elapsedSeconds || 0) / s.total : 0)
+    })}`;
+
+    const reviewBtn = document.createElement("button");
+    reviewBtn.className = "secondary";
+    reviewBtn.textContent = t("dashboard.review");
+    reviewBtn.onclick = () => { openHistoryAttempt(entry.id); };
+
+    item.appendChild(info);
+    item.appendChild(reviewBtn);
     list.appendChild(item);
   });
+
+  renderNotesList();
+  renderReportsList();
+}
+
+function renderNotesList() {
+  const list = $("notesList");
+  list.innerHTML = "";
+  const query = $("notesSearch").value.trim().toLowerCase();
+
+  const entries = Object.entries(loadQuestionNotes())
+    .filter(([, note]) => note && typeof note.text === "string" && note.text.trim())
+    .sort((a, b) => (Number(b[1].updatedAt) || 0) - (Number(a[1].updatedAt) || 0));
+
+  const matches = entries.filter(([qid, note]) => {
+    if (!query) return true;
+    const q = getQuestionById(qid);
+    return [qid, note.text, q?.text, q?.exam].some(value => String(value ?? "").toLowerCase().includes(query));
+  });
+
+  $("notesCount").textContent = entries.length
+    ? (query ? t("notes.countFiltered", { shown: matches.length, total: entries.length }) : t("notes.count", { count: entries.length }))
+    : t("notes.empty");
+
+  matches.forEach(([qid, note]) => {
+    const q = getQuestionById(qid);
+    const item = document.createElement("div");
+    item.className = "noteItem";
+    item.innerHTML = `
+      <div class="muted small mono"></div>
+      <div class="noteQuestion muted small"></div>
+      <div class="noteText"></div>
+    `;
+    item.querySelector(".mono").textContent = `${q ? `${q.exam} • Q${q.number ?? ""} • ` : ""}ID ${qid} • ${formatDateTime(note.updatedAt)}`;
+    item.querySelector(".noteQuestion").textContent = q ? q.text : t("notes.missingQuestion");
+    item.querySelector(".noteText").textContent = note.text;
+    list.appendChild(item);
+  });
+}
+
+function getQuestionConfidence(q) {
+  const value = q?.confidence ?? q?.source?.confidence;
+  return Number.isFinite(Number(value)) && value !== null ? Number(value) : null;
+}
+
+function fillBrowseSelect(select, values, anyLabel) {
+  const previous = select.value;
+  select.innerHTML = "";
+  [["", anyLabel], ...values.map(value => [value, value])].forEach(([value, labelText]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = labelText;
+    select.appendChild(option);
+  });
+  select.value = values.includes(previous) ? previous : "";
+}
+
+function renderBrowseFilters() {
+  const questions = bank?.questions || [];
+  const distinct = getter => Array.from(new Set(questions.map(getter).filter(value => value != null && value !== ""))).map(String).sort();
+  fillBrowseSelect($("browseExam"), distinct(q => q.exam), t("browse.allExams"));
+  const topics = distinct(q => q.topic);
+  fillBrowseSelect($("browseTopic"), topics, t("browse.allTopics"));
+  $("browseTopic").style.display = topics.length ? "" : "none";
+  fillBrowseSelect($("browseOrigin"), distinct(q => q.source?.origin), t("browse.allOrigins"));
+}
+
+function getBrowseMatches() {
+  const terms = $("browseSearch").value.toLowerCase().split(/\s+/).filter(Boolean);
+  const exam = $("browseExam").value;
+  const topic = $("browseTopic").value;
+  const origin = $("browseOrigin").value;
+  const review = $("browseReview").value;
+  const minConfidence = parseFloat($("browseMinConfidence").value);
+
+  return (bank?.questions || []).filter((q) => {
+    if (exam && String(q.exam) !== exam) return false;
+    if (topic && String(q.topic) !== topic) return false;
+    if (origin && String(q.source?.origin) !== origin) return false;
+    if (review === "needs" && !q.source?.needs_human_review) return false;
+    if (review === "ok" && q.source?.needs_human_review) return false;
+    if (Number.isFinite(minConfidence) && minConfidence > 0) {
+      const confidence = getQuestionConfidence(q);
+      if (confidence === null || confidence < minConfidence) return false;
+    }
+    if (!terms.length) return true;
+    const haystack = [q.id, q.text, q.scenario_text, ...(q.choices || []).map(choice => choice.text)]
+      .filter(value => value != null)
+      .join(" ")
+      .toLowerCase();
+    return terms.every(term => haystack.includes(term));
+  });
+}
+
+function renderBrowseList() {
+  const matches = getBrowseMatches();
+  const total = bank?.questions?.length || 0;
+  $("browseCount").textContent = t("browse.count", { shown: matches.length, total });
+
+  const list = $("browseList");
+  list.innerHTML = "";
+  matches.slice(0, browseVisibleCount).forEach((q) => {
+    const item = document.createElement("div");
+    item.className = "historyItem";
+
+    const info = document.createElement("div");
+    info.className = "browseInfo";
+    info.innerHTML = `
+      <div class="muted small mono"></div>
+      <div class="browseText"></div>
+    `;
+    const confidence = getQuestionConfidence(q);
+    info.querySelector(".mono").textContent = [
+      `${q.exam} • Q${q.number ?? ""} • ID ${q.id}`,
+      q.topic,
+      q.source?.origin,
+      confidence !== null ? t("browse.confidence", { value: formatNumber(confidence, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) }) : null,
+      q.source?.needs_human_review ? t("browse.needsReviewTag") : null
+    ].filter(Boolean).join(" • ");
+    info.querySelector(".browseText").textContent = q.text;
+
+    const openBtn = document.createElement("button");
+    openBtn.className = "secondary";
+    openBtn.textContent = t("browse.open");
+    openBtn.onclick = () => { openBrowseQuestion(q.id); };
+
+    item.appendChild(info);
+    item.appendChild(openBtn);
+    list.appendChild(item);
+  });
+
+  $("browseMoreBtn").style.display = matches.length > browseVisibleCount ? "" : "none";
+}
+
+function updateBrowse() {
+  browseVisibleCount = BROWSE_PAGE_SIZE;
+  renderBrowseList();
+}
+
+// Shows one bank question in the exam card layout, with the answer hidden until revealed.
+function openBrowseQuestion(qid) {
+  const q = findQuestionInBank(bank, qid);
+  if (!q) return;
+
+  const card = $("browseCard");
+  card.innerHTML = "";
+  const confidence = getQuestionConfidence(q);
+  card.appendChild(createQuestionTitle(q, t("browse.cardLabel"), confidence !== null
+    ? t("browse.confidenceMeta", { value: formatNumber(confidence, { minimumFractionDigits: 2, maximumFractionDigits: 2 }) })
+    : ""));
+
+  if (q.scenario_text) {
+    card.appendChild(createScenarioPanel(q, null, true));
+  }
+
+  const text = document.createElement("div");
+  text.className = "qText";
+  text.textContent = q.text;
+  card.appendChild(text);
+
+  const choices = document.createElement("div");
+  choices.className = "choices";
+  (q.choices || []).forEach((ch) => {
+    const row = document.createElement("div");
+    row.className = "choice";
+    row.dataset.correct = String(!!ch.is_correct);
+    row.innerHTML = `
+      <div class="lbl">${ch.label}</div>
+      <div class="ctext"></div>
+    `;
+    row.querySelector(".ctext").textContent = ch.text;
+    choices.appendChild(row);
+  });
+  card.appendChild(choices);
+
+  const revealBtn = document.createElement("button");
+  revealBtn.className = "secondary browseReveal";
+  revealBtn.textContent = t("browse.reveal");
+  revealBtn.onclick = () => {
+    choices.querySelectorAll(".choice").forEach((row) => {
+      row.classList.toggle("correct", row.dataset.correct === "true");
+    });
+    revealBtn.textContent = t("browse.correctAnswer", { label: toDisplayLabel(null, q, getCorrectAnswer(q)) ?? "—" });
+    revealBtn.disabled = true;
+  };
+  card.appendChild(revealBtn);
+
+  card.appendChild(createNoteEditor(q.id));
+  card.appendChild(createReportPanel(q));
+
+  $("browseListView").style.display = "none";
+  $("browseDetailView").style.display = "";
+}
+
+function closeBrowseQuestion() {
+  $("browseDetailView").style.display = "none";
+  $("browseListView").style.display = "";
+}
+
+function openBrowse() {
+  renderBrowseFilters();
+  closeBrowseQuestion();
+  updateBrowse();
+  show("browse");
+}
+
+async function openHistoryAttempt(entryId) {
+  const entry = loadAttemptHistory().find(item => item.id === entryId);
+  if (!entry) return;
+
+  if (getMissingQuestionIds(entry).length && !reviewBank) {
+    try {
+      reviewBank = await loadQuestionBank(MIXED_SOURCE);
+    } catch (error) {
+      reviewBank = null;
+    }
+  }
+
+  reviewedAttempt = entry;
+  $("showOnlyWrong").checked = false;
+  $("showOnlyFlagged").checked = false;
+  renderResults();
+  show("results");
+}
+
+function buildBackup() {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    data: {
+      attempt: loadSavedAttempt(),
+      settings: {
+        language: loadLanguage(),
+        quizSource: loadQuizSource(),
+        shuffleChoices: loadShuffleChoicesPreference(),
+        smartPractice: loadSmartPracticePreference(),
+        mixedAiShare: loadMixedAiShare(),
+        mistakeClearStreak: loadMistakeClearStreak(),
+        scoring: loadScoringModel()
+      },
+      history: loadAttemptHistory(),
+      reviews: loadReviewRecords(),
+      blueprints: loadBlueprints(),
+      notes: loadQuestionNotes(),
+      reports: loadIssueReports(),
+      mistakes: loadMistakeDeck()
+    }
+  };
+}
+
+function downloadJson(fileName, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+function exportBackup() {
+  downloadJson(`iapp-e-quiz-backup-${new Date().toISOString().slice(0, 10)}.json`, buildBackup());
+}
+
+function isArchivedAttempt(entry) {
+  return !!(
+    entry &&
+    typeof entry.id === "string" &&
+    Array.isArray(entry.questionIds) &&
+    entry.results && typeof entry.results === "object" &&
+    entry.summary && typeof entry.summary === "object"
+  );
+}
+
+function mergeHistory(incoming) {
+  const byId = new Map(loadAttemptHistory().map(entry => [entry.id, entry]));
+  let added = 0;
+  incoming
+    .filter(isArchivedAttempt)
+    .map(entry => toHistoryEntry(entry, { finishedAt: Number(entry.finishedAt) || 0, summary: entry.summary }))
+    .forEach((entry) => {
+      const existing = byId.get(entry.id);
+      if (existing && (Number(existing.finishedAt) || 0) >= entry.finishedAt) return;
+      if (!existing) added += 1;
+      byId.set(entry.id, entry);
+    });
+  const merged = Array.from(byId.values()).sort((a, b) => (Number(a.finishedAt) || 0) - (Number(b.finishedAt) || 0));
+  saveAttemptHistory(merged);
+  return added;
+}
+
+function mergeReviewRecords(incoming) {
+  const records = loadReviewRecords();
+  let updated = 0;
+  Object.entries(incoming).forEach(([qid, record]) => {
+    if (!record || typeof record !== "object" || !Number.isFinite(Number(record.lastSeenAt))) return;
+    if (records[qid] && Number(records[qid].lastSeenAt) >= Number(record.lastSeenAt)) return;
+    records[qid] = typeof window.normalizeReviewRecord === "function" ? window.normalizeReviewRecord(record) : record;
+    updated += 1;
+  });
+  saveReviewRecords(records);
+  return updated;
+}
+
+function mergeBlueprints(incoming) {
+  const blueprints = loadBlueprints();
+  const names = new Set(blueprints.map(item => item.name));
+  let added = 0;
+  incoming.forEach((item) => {
+    if (!item || typeof item.name !== "string" || !Array.isArray(item.rules) || names.has(item.name)) return;
+    blueprints.push(item);
+    names.add(item.name);
+    added += 1;
+  });
+  saveBlueprints(blueprints);
+  return added;
+}
+
+function mergeQuestionNotes(incoming) {
+  const notes = loadQuestionNotes();
+  let updated = 0;
+  Object.entries(incoming).forEach(([qid, note]) => {
+    if (!note || typeof note.text !== "string" || !note.text.trim()) return;
+    if (notes[qid] && (Number(notes[qid].updatedAt) || 0) >= (Number(note.updatedAt) || 0)) return;
+    notes[qid] = { text: note.text.trim(), updatedAt: Number(note.updatedAt) || Date.now() };
+    updated += 1;
+  });
+  saveQuestionNotes(notes);
+  return updated;
+}
+
+function mergeIssueReports(incoming) {
+  const reports = loadIssueReports();
+  let updated = 0;
+  Object.entries(incoming).forEach(([qid, report]) => {
+    if (!report || !REPORT_CATEGORIES.some(category => category.id === report.category)) return;
+    if (reports[qid] && (Number(reports[qid].reportedAt) || 0) >= (Number(report.reportedAt) || 0)) return;
+    reports[qid] = report;
+    updated += 1;
+  });
+  saveIssueReports(reports);
+  return updated;
+}
+
+function mergeMistakeDeck(incoming) {
+  const deck = loadMistakeDeck();
+  let updated = 0;
+  Object.entries(incoming).forEach(([qid, entry]) => {
+    if (!entry || typeof entry !== "object" || !Number.isFinite(Number(entry.updatedAt))) return;
+    if (deck[qid] && (Number(deck[qid].updatedAt) || 0) >= Number(entry.updatedAt)) return;
+    deck[qid] = typeof window.normalizeMistakeEntry === "function" ? window.normalizeMistakeEntry(entry) : entry;
+    updated += 1;
+  });
+  saveMistakeDeck(deck);
+  return updated;
+}
+
+// Settings from a backup replace the local ones. Backups written before settings
+// were grouped only carry `quizSource` and `shuffleChoices` next to the data.
+function readBackupSettings(data) {
+  const settings = data.settings && typeof data.settings === "object" ? { ...data.settings } : {};
+  if (settings.quizSource === undefined && data.quizSource !== undefined) settings.quizSource = data.quizSource;
+  if (settings.shuffleChoices === undefined && data.shuffleChoices !== undefined) settings.shuffleChoices = data.shuffleChoices;
+  return settings;
+}
+
+// The quiz source is only switched when no local attempt would be cleared by it.
+async function applyBackupSettings(settings) {
+  let applied = false;
+  if (typeof settings.language === "string") {
+    changeLanguage(normalizeLanguage(settings.language));
+    $("languageSelect").value = loadLanguage();
+    applied = true;
+  }
+  if (typeof settings.shuffleChoices === "boolean") {
+    saveShuffleChoicesPreference(settings.shuffleChoices);
+    $("shuffleChoices").checked = settings.shuffleChoices;
+    applied = true;
+  }
+  if (typeof settings.smartPractice === "boolean") {
+    saveSmartPracticePreference(settings.smartPractice);
+    $("smartPractice").checked = settings.smartPractice;
+    applied = true;
+  }
+  if (settings.mixedAiShare != null) {
+    saveMixedAiShare(settings.mixedAiShare);
+    updateMixedShareControl();
+    applied = true;
+  }
+  if (settings.mistakeClearStreak != null && typeof window.normalizeMistakeClearStreak === "function") {
+    saveMistakeClearStreak(window.normalizeMistakeClearStreak(settings.mistakeClearStreak));
+    applied = true;
+  }
+  if (settings.scoring && typeof settings.scoring === "object" && typeof window.normalizeScoringModel === "function") {
+    saveScoringModel(window.normalizeScoringModel(settings.scoring));
+    renderScoringSettings();
+    applied = true;
+  }
+  const source = [LEGACY_SOURCE, AI_SOURCE, MIXED_SOURCE].includes(settings.quizSource) ? settings.quizSource : null;
+  if (source && source !== getSelectedQuizSource() && !attempt) {
+    await changeQuizSource(source);
+    applied = true;
+  }
+  return applied;
+}
+
+// Merges a backup into local storage. History, review records, notes, issue
+// reports and the mistake deck keep the newer entry per id, and blueprints are
+// added by name. The saved attempt is only taken over when there is no local one
+// or the imported one started later, and only if its questions can be restored.
+async function importBackup(backup) {
+  if (!backup || backup.format !== BACKUP_FORMAT || !backup.data || typeof backup.data !== "object") {
+    throw new Error(t("backup.notBackup"));
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1 || backup.version > BACKUP_VERSION) {
+    throw new Error(t("backup.unsupportedVersion", { version: backup.version }));
+  }
+
+  const data = backup.data;
+  const summary = {
+    history: Array.isArray(data.history) ? mergeHistory(data.history) : 0,
+    reviews: data.reviews && typeof data.reviews === "object" ? mergeReviewRecords(data.reviews) : 0,
+    blueprints: Array.isArray(data.blueprints) ? mergeBlueprints(data.blueprints) : 0,
+    notes: data.notes && typeof data.notes === "object" ? mergeQuestionNotes(data.notes) : 0,
+    reports: data.reports && typeof data.reports === "object" ? mergeIssueReports(data.reports) : 0,
+    mistakes: data.mistakes && typeof data.mistakes === "object" ? mergeMistakeDeck(data.mistakes) : 0,
+    attempt: false,
+    settings: false
+  };
+
+  // The imported attempt is checked against its own bank before anything local is
+  // touched, so an attempt that cannot be restored leaves source and attempt as they were.
+  const incomingAttempt = normalizeAttemptState(data.attempt);
+  const isNewer = incomingAttempt && (!attempt || (Number(incomingAttempt.startedAt) || 0) > (Number(attempt.startedAt) || 0));
+  if (isNewer && Array.isArray(incomingAttempt.questionIds) && incomingAttempt.questionIds.length) {
+    const targetSource = incomingAttempt.sourceType || getSelectedQuizSource();
+    const targetBank = targetSource === getSelectedQuizSource()
+      ? bank
+      : await loadQuestionBank(targetSource).catch(() => null);
+    if (targetBank && canRestoreAttempt(incomingAttempt, targetBank)) {
+      if (targetSource !== getSelectedQuizSource()) await changeQuizSource(targetSource, targetBank);
+      attempt = incomingAttempt;
+      currentIndex = 0;
+      saveAttempt();
+      $("resumeBtn").style.display = "";
+      $("resetBtn").style.display = "";
+      summary.attempt = true;
+    }
+  }
+  summary.settings = await applyBackupSettings(readBackupSettings(data));
+
+  renderBlueprintList();
+  updateStudyInfo();
+  renderMistakeDeckInfo();
+  updateSmartPracticeInfo();
+  return summary;
+}
+
+async function handleBackupFile(file) {
+  const status = $("backupStatus");
+  if (!file) return;
+  try {
+    const summary = await importBackup(JSON.parse(await file.text()));
+    status.textContent = [
+      t("backup.imported", summary),
+      summary.attempt ? t("backup.importedAttempt") : null,
+      summary.settings ? t("backup.importedSettings") : null
+    ].filter(Boolean).join(" ");
+  } catch (error) {
+    status.textContent = t("backup.importFailed", { reason: error.message || t("backup.invalidFile") });
+  }
+  renderDashboard();
+}
+
+// `loadedBank` skips the fetch when the caller already loaded the new source.
+async function changeQuizSource(nextSource, loadedBank = null) {
+  saveQuizSource(nextSource);
+  setSelectedQuizSource(nextSource);
+  clearAttempt();
+  try {
+    bank = loadedBank || await loadQuestionBank(nextSource);
+    setBankInfo(nextSource);
+    updateQuestionCountText();
+    $("startBtn").disabled = false;
+    return true;
+  } catch (error) {
+    $("questionBankInfo").textContent = error.message || t("errors.bankLoadFailed");
+    $("startBtn").disabled = true;
+    return false;
+  }
+}
+
+// Static markup is translated through data-i18n attributes; text built in JS is
+// re-rendered for the home screen and whichever section is currently visible.
+function refreshLocalisedViews() {
+  updateTimerSummary();
+  updateMixedShareControl();
+  updateStudyInfo();
+  renderBlueprintList();
+  updateBlueprintTotal();
+  renderScoringSettings();
+  renderMistakeDeckInfo();
+  updateSmartPracticeInfo();
+  if (bank) {
+    updateQuestionCountHelp();
+  }
+
+  const visible = getVisibleSectionId();
+  if ((visible === "exam" || visible === "submitReview") && attempt) {
+    renderExam();
+    if (visible === "submitReview") renderSubmitReview();
+  } else if (visible === "results" && (reviewedAttempt || attempt)?.summary) {
+    renderResults();
+  } else if (visible === "dashboard") {
+    renderDashboard();
+  } else if (visible === "browse") {
+    renderBrowseFilters();
+    renderBrowseList();
+  }
+}
+
+function changeLanguage(language) {
+  saveLanguage(setLanguage(language));
+  applyTranslations();
+  refreshLocalisedViews();
+}
+
+function showBankUpdateBanner(file) {
+  const inAttempt = !!(attempt && !attempt.submitted);
+  $("bankUpdateText").textContent = `${t("banner.newVersion", { file })}${inAttempt ? ` ${t("banner.attemptSaved")}` : ""}`;
+  $("bankUpdateBanner").style.display = "";
+}
+
+// The service worker (sw.js) serves the app shell and question banks from cache and
+// posts "bank-updated" when a re-fetched bank differs from the cached copy.
+function registerServiceWorker() {
+  if (!("serviceWorker" in navigator) || window.location.protocol === "file:") return;
+
+  navigator.serviceWorker.addEventListener("message", (event) => {
+    if (event.data?.type === "bank-updated") showBankUpdateBanner(event.data.file);
+  });
+  navigator.serviceWorker.register("sw.js").catch(() => {
+    // Offline support is optional; the app works without it.
+  });
 }
 
 async function init() {
+  // Language
+  $("languageSelect").value = setLanguage(loadLanguage());
+  applyTranslations();
+  $("languageSelect").onchange = () => { changeLanguage($("languageSelect").value); };
+
   // UI bindings
-  $("startBtn").onclick = startNewAttempt;
-  $("newAttemptBtn").onclick = () => { clearAttempt(); startNewAttempt(); };
-  $("backHomeBtn").onclick = () => { stopTimer(); show("home"); };
+  $("startBtn").onclick = () => {
+    const paper = pendingSharedPaper;
+    pendingSharedPaper = null;
+    startNewAttempt(paper || {});
+  };
+  $("shareLinkBtn").onclick = () => { copySharedPaperLink($("shareLinkBtn"), attempt); };
+  $("shareResultsLinkBtn").onclick = () => { copySharedPaperLink($("shareResultsLinkBtn"), reviewedAttempt || attempt); };
+  $("retryWrongBtn").onclick = () => {
+    const questionIds = getRetryQuestionIds(attempt);
+    if (!questionIds.length) return;
+    clearAttempt();
+    startNewAttempt({ questionIds, drill: "wrong" });
+  };
+  $("mistakeDeckBtn").onclick = startMistakeDeckAttempt;
+  $("mistakeClearStreak").onchange = () => {
+    const value = typeof window.normalizeMistakeClearStreak === "function"
+      ? window.normalizeMistakeClearStreak($("mistakeClearStreak").value)
+      : loadMistakeClearStreak();
+    saveMistakeClearStreak(value);
+    renderMistakeDeckInfo();
+  };
+  $("newAttemptBtn").onclick = () => {
+    const blueprint = attempt?.blueprint || null;
+    clearAttempt();
+    startNewAttempt({ blueprint });
+  };
+  $("saveBlueprintBtn").onclick = saveBlueprintFromBuilder;
+  ["scoringMin", "scoringMax", "scoringPass", "scoringPassPercent", "scoringMultipleResponse"].forEach((id) => { $(id).onchange = saveScoringFromSettings; });
+  $("resetScoringBtn").onclick = () => {
+    safeStorageRemove(SCORING_STORAGE_KEY);
+    $("scoringStatus").textContent = "";
+    renderScoringSettings();
+  };
+  $("shuffleChoices").checked = loadShuffleChoicesPreference();
+  $("shuffleChoices").onchange = () => { saveShuffleChoicesPreference($("shuffleChoices").checked); };
+  $("mixedAiShare").oninput = () => {
+    saveMixedAiShare($("mixedAiShare").value);
+    updateMixedShareControl();
+  };
+  $("smartPractice").checked = loadSmartPracticePreference();
+  $("smartPractice").onchange = () => {
+    saveSmartPracticePreference($("smartPractice").checked);
+    updateSmartPracticeInfo();
+  };
+  $("backHomeBtn").onclick = () => {
+    if (reviewedAttempt) {
+      reviewedAttempt = null;
+      renderDashboard();
+      show("dashboard");
+      return;
+    }
+    stopTimer();
+    show("home");
+  };
+  $("progressBtn").onclick = () => { renderDashboard(); show("dashboard"); };
+  $("browseBtn").onclick = openBrowse;
+  $("browseBackBtn").onclick = () => { show("home"); };
+  $("browseCloseBtn").onclick = closeBrowseQuestion;
+  $("browseMoreBtn").onclick = () => {
+    browseVisibleCount += BROWSE_PAGE_SIZE;
+    renderBrowseList();
+  };
+  ["browseSearch", "browseMinConfidence"].forEach((id) => { $(id).oninput = updateBrowse; });
+  ["browseExam", "browseTopic", "browseOrigin", "browseReview"].forEach((id) => { $(id).onchange = updateBrowse; });
+  $("dashboardBackBtn").onclick = () => { show("home"); };
+  $("notesSearch").oninput = renderNotesList;
+  $("exportReportPatchBtn").onclick = exportReportPatch;
+  $("exportReportOverridesBtn").onclick = exportReportOverrides;
+  $("exportBackupBtn").onclick = exportBackup;
+  $("importBackupBtn").onclick = () => { $("importBackupInput").click(); };
+  $("importBackupInput").onchange = async (event) => {
+    await handleBackupFile(event.target.files[0]);
+    event.target.value = "";
+  };
   $("resumeBtn").onclick = () => { show("exam"); renderExam(); startTimerIfNeeded(); };
   $("resetBtn").onclick = () => { clearAttempt(); window.location.reload(); };
   $("questionCount").oninput = () => { updateQuestionCountText(); };
   $("timerEnabled").onchange = () => { updateTimerSummary(); };
   $("timerMinutes").oninput = () => { updateTimerSummary(); };
+  document.querySelectorAll("input[name=quizMode]").forEach((input) => {
+    input.onchange = () => { updateStudyInfo(); updateSmartPracticeInfo(); };
+  });
 
   $("prevBtn").onclick = () => { currentIndex--; renderExam(); };
   $("nextBtn").onclick = () => { currentIndex++; renderExam(); };
+  $("nextFlaggedBtn").onclick = () => {
+    const idx = findNextFlaggedIndex();
+    if (idx < 0) return;
+    currentIndex = idx;
+    renderExam();
+  };
 
-  $("saveExitBtn").onclick = () => { saveAttempt(); stopTimer(); show("home"); };
+  $("saveExitBtn").onclick = () => { switchDwellQuestion(null); saveAttempt(); stopTimer(); show("home"); };
   $("hintBtn").onclick = handleFeedbackHint;
   $("skipBtn").onclick = handleFeedbackSkip;
 
   $("submitBtn").onclick = () => {
-    finishAttemptForCurrentMode();
-    renderExam(); // reflect colors in exam view
-    renderResults();
-    show("results");
+    if (!attempt) return;
+    if (attempt.submitted) {
+      renderResults();
+      show("results");
+      return;
+    }
+    renderSubmitReview();
+    show("submitReview");
   };
+  $("submitReviewBackBtn").onclick = () => { returnToQuestion(currentIndex); };
+  $("confirmSubmitBtn").onclick = () => { submitAndShowResults(); };
 
   $("showOnlyWrong").onchange = () => renderResults();
+  $("showOnlyFlagged").onchange = () => renderResults();
+
+  $("bankUpdateReloadBtn").onclick = () => {
+    if (attempt && !attempt.submitted) saveAttempt();
+    window.location.reload();
+  };
+  $("bankUpdateDismissBtn").onclick = () => { $("bankUpdateBanner").style.display = "none"; };
+  registerServiceWorker();
 
   // Source selection + question bank
+  const sharedPaper = readSharedPaperParams();
+  if (sharedPaper?.source) saveQuizSource(sharedPaper.source);
   const savedSource = loadQuizSource();
   setSelectedQuizSource(savedSource);
 
   const sourceInputs = document.querySelectorAll("input[name=quizSource]");
   sourceInputs.forEach((input) => {
-    input.onchange = async () => {
-      const nextSource = getSelectedQuizSource();
-      saveQuizSource(nextSource);
-      setSelectedQuizSource(nextSource);
-      clearAttempt();
-      try {
-        bank = await loadQuestionBank(nextSource);
-        setBankInfo(nextSource);
-        updateQuestionCountText();
-        $("startBtn").disabled = false;
-      } catch (error) {
-        $("questionBankInfo").textContent = error.message || "Failed to load question bank.";
-        $("startBtn").disabled = true;
-      }
-    };
+    input.onchange = () => { changeQuizSource(getSelectedQuizSource()); };
   });
+  renderBlueprintList();
+  setBankInfo(savedSource);
 
   try {
     bank = await loadQuestionBank(savedSource);
@@ -1105,13 +3906,13 @@ async function init() {
         setBankInfo(LEGACY_SOURCE);
         $("questionBankInfo").textContent = "";
       } catch (legacyError) {
-        $("questionBankInfo").textContent = legacyError.message || "Failed to load question bank.";
+        $("questionBankInfo").textContent = legacyError.message || t("errors.bankLoadFailed");
         $("startBtn").disabled = true;
         updateTimerSummary();
         return;
       }
     } else {
-      $("questionBankInfo").textContent = error.message || "Failed to load question bank.";
+      $("questionBankInfo").textContent = error.message || t("errors.bankLoadFailed");
       $("startBtn").disabled = true;
       updateTimerSummary();
       return;
@@ -1131,15 +3932,17 @@ async function init() {
     updateTimerSummary();
     $("resumeBtn").style.display = "";
     $("resetBtn").style.display = "";
-    if (attempt.submitted) {
+    if (attempt.submitted && !sharedPaper) {
       renderResults();
       show("results");
     }
   } else if (saved) {
-    resetOutdatedAttempt("Saved attempt was outdated and has been cleared.");
+    resetOutdatedAttempt();
   }
 
   $("startBtn").disabled = false;
+
+  if (sharedPaper) applySharedPaper(sharedPaper);
 }
 
 init();
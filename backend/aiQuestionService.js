@@ -19,6 +19,9 @@ const DEFAULT_CONFIG = {
   }
 };
 
+const CHOICE_LABELS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+const MIN_CHOICES = 2;
+
 const responseSchema = {
   name: "gdpr_question",
   schema: {
@@ -28,8 +31,10 @@ const responseSchema = {
       "language",
       "article_ref",
       "question",
+      "question_type",
       "choices",
       "correct_label",
+      "correct_labels",
       "rationale_short",
       "difficulty",
       "tags",
@@ -39,21 +44,29 @@ const responseSchema = {
       language: { type: "string", enum: ["pl", "en"] },
       article_ref: { type: "string" },
       question: { type: "string", minLength: 12, maxLength: 600 },
+      question_type: { type: "string", enum: ["single", "multiple"] },
       choices: {
         type: "array",
-        minItems: 4,
-        maxItems: 4,
+        minItems: MIN_CHOICES,
+        maxItems: CHOICE_LABELS.length,
         items: {
           type: "object",
           additionalProperties: false,
           required: ["label", "text"],
           properties: {
-            label: { type: "string", enum: ["A", "B", "C", "D"] },
+            label: { type: "string", enum: CHOICE_LABELS },
             text: { type: "string", minLength: 1, maxLength: 300 }
           }
         }
       },
-      correct_label: { type: "string", enum: ["A", "B", "C", "D"] },
+      // For "multiple" questions `correct_labels` holds the key and `correct_label`
+      // repeats its first entry; for "single" both name the one correct choice.
+      correct_label: { type: "string", enum: CHOICE_LABELS },
+      correct_labels: {
+        type: "array",
+        minItems: 1,
+        items: { type: "string", enum: CHOICE_LABELS }
+      },
       rationale_short: { type: "string", minLength: 10, maxLength: 600 },
       difficulty: { type: "integer", minimum: 1, maximum: 5 },
       tags: {
@@ -161,16 +174,43 @@ export function cosineSimilarity(a = [], b = []) {
   return denom ? dot / denom : 0;
 }
 
+// Questions without `question_type` are single choice keyed by `correct_label`.
+export function getCorrectLabels(question) {
+  if (question?.question_type === "multiple") {
+    return Array.isArray(question.correct_labels) ? Array.from(new Set(question.correct_labels)) : [];
+  }
+  return question?.correct_label ? [question.correct_label] : [];
+}
+
 export function validateChoiceIntegrity(question) {
   if (!question || !Array.isArray(question.choices)) return { ok: false, reason: "choices_missing" };
-  if (question.choices.length !== 4) return { ok: false, reason: "choices_count" };
+  const count = question.choices.length;
+  if (count < MIN_CHOICES || count > CHOICE_LABELS.length) return { ok: false, reason: "choices_count" };
+  if (question.question_type && !["single", "multiple"].includes(question.question_type)) {
+    return { ok: false, reason: "question_type_invalid" };
+  }
 
   const labels = question.choices.map((c) => c.label);
   const texts = question.choices.map((c) => normalizeText(c.text));
 
-  if (new Set(labels).size !== 4) return { ok: false, reason: "duplicate_labels" };
-  if (new Set(texts).size !== 4) return { ok: false, reason: "duplicate_choice_texts" };
-  if (!labels.includes(question.correct_label)) return { ok: false, reason: "correct_label_not_in_choices" };
+  if (new Set(labels).size !== count) return { ok: false, reason: "duplicate_labels" };
+  if (!labels.every((label) => CHOICE_LABELS.includes(label))) return { ok: false, reason: "invalid_labels" };
+  if (new Set(texts).size !== count) return { ok: false, reason: "duplicate_choice_texts" };
+
+  const correctLabels = getCorrectLabels(question);
+  if (!correctLabels.length || !correctLabels.every((label) => labels.includes(label))) {
+    return { ok: false, reason: "correct_label_not_in_choices" };
+  }
+  if (question.question_type === "multiple") {
+    if (correctLabels.length < 2) return { ok: false, reason: "multiple_needs_two_correct" };
+    if (correctLabels.length >= count) return { ok: false, reason: "multiple_all_correct" };
+  } else if (question.correct_labels != null) {
+    // A single-choice key must not name a different answer in `correct_labels`.
+    const labelsMatch = Array.isArray(question.correct_labels)
+      && question.correct_labels.length === 1
+      && question.correct_labels[0] === question.correct_label;
+    if (!labelsMatch) return { ok: false, reason: "single_correct_labels_mismatch" };
+  }
 
   return { ok: true };
 }
@@ -358,7 +398,7 @@ export class AIQuestionService {
         {
           role: "system",
           content:
-            "Tworzysz pytania jednokrotnego wyboru A-D z fragmentu RODO. Nie kopiuj zdań 1:1. Jedna odpowiedź poprawna, 3 wiarygodne dystraktory. Zakaz pytań o pojedyncze słowo i o wyjątki spoza fragmentu. Poziom średni jak bank egzaminacyjny."
+            "Tworzysz pytania z fragmentu RODO. Domyślnie jednokrotnego wyboru (question_type single): odpowiedzi A-D, jedna poprawna, 3 wiarygodne dystraktory, correct_labels zawiera tylko correct_label. Gdy fragment wylicza kilka warunków lub elementów, możesz dać pytanie wielokrotnej odpowiedzi (question_type multiple): 4-6 odpowiedzi, co najmniej dwie poprawne w correct_labels, ale nie wszystkie; correct_label to pierwsza z nich. Nie kopiuj zdań 1:1. Zakaz pytań o pojedyncze słowo i o wyjątki spoza fragmentu. Poziom średni jak bank egzaminacyjny."
         },
         {
           role: "user",
@@ -420,7 +460,7 @@ export class AIQuestionService {
         {
           role: "system",
           content:
-            "You are a strict legal verifier. Check only against the provided paragraph. Confirm one correct answer, three incorrect distractors, no external assumptions and no trivial copy."
+            "You are a strict legal verifier. Check only against the provided paragraph. For question_type single confirm one correct answer (correct_label) and incorrect distractors; for multiple confirm that exactly the choices in correct_labels are correct. Check there are no external assumptions and no trivial copy."
         },
         {
           role: "user",
@@ -23,6 +23,7 @@ function parseArgs(argv) {
     cacheDir: ".cache/ai_questions",
     maxAttempts: 5,
     minConfidence: 0.85,
+    multipleEvery: 0,         // every Nth question is multiple-response (0 = single choice only)
     // similarity gates:
     maxSimToStyleRef: 0.55,   // reject if too close to any style ref question
     maxSimToExisting: 0.60,   // reject if too close to already generated questions
@@ -46,6 +47,7 @@ function parseArgs(argv) {
     if (key === "questions") options.questions = value.trim();
     if (key === "cache-dir") options.cacheDir = value.trim();
     if (key === "style-ref-count") options.styleRefCount = Math.max(0, Number.parseInt(value, 10) || 4);
+    if (key === "multiple-every") options.multipleEvery = Math.max(0, Number.parseInt(value, 10) || 0);
   }
 
   if (!options.topics.length) options.topics = DEFAULT_TOPICS;
@@ -97,15 +99,39 @@ function sanitizeQuestionText(text) {
     .trim();
 }
 
-function ensureFourChoices(choices) {
+// Single choice: exactly 4 choices. Multiple response: 4-6 choices.
+const CHOICE_COUNTS = {
+  single: { min: 4, max: 4 },
+  multiple: { min: 4, max: 6 }
+};
+
+function ensureChoices(choices, questionType) {
   if (!Array.isArray(choices)) return null;
+  const { min, max } = CHOICE_COUNTS[questionType];
   const c = choices.map(x => String(x || "").trim()).filter(Boolean);
-  if (c.length !== 4) return null;
+  if (c.length < min || c.length > max) return null;
   // uniqueness
-  if (new Set(c.map(normalizeText)).size !== 4) return null;
+  if (new Set(c.map(normalizeText)).size !== c.length) return null;
   return c;
 }
 
+// Correct answers as choice indices: one for single choice, at least two (and not
+// all of them) for multiple response. Null when the model's answer is unusable.
+function ensureCorrectIndices(generated, questionType, choiceCount) {
+  const raw = questionType === "multiple" ? generated?.correct_indices : [generated?.correct_index];
+  if (!Array.isArray(raw) || !raw.every(i => Number.isInteger(i) && i >= 0 && i < choiceCount)) return null;
+  const indices = Array.from(new Set(raw)).sort((a, b) => a - b);
+  if (questionType === "multiple" && (indices.length < 2 || indices.length >= choiceCount)) return null;
+  if (questionType === "single" && indices.length !== 1) return null;
+  return indices;
+}
+
+function toAnswerKey(questionType, indices) {
+  return questionType === "multiple"
+    ? { question_type: "multiple", correct_indices: indices }
+    : { correct_index: indices[0] };
+}
+
 /** ---------- IO: load GDPR knowledge + DB questions ---------- **/
 
 async function loadGdprKnowledge(filepath) {
@@ -275,6 +301,7 @@ async function generateAndValidate({
   gdprItem,
   topic,
   difficulty,
+  questionType,
   styleRefs,
   opts,
   existingAiQuestions
@@ -282,6 +309,8 @@ async function generateAndValidate({
   const cachePayload = {
     topic,
     difficulty,
+    // Only multiple-response requests add the type, so existing cache entries stay valid.
+    ...(questionType === "multiple" ? { question_type: questionType } : {}),
     gdpr_id: gdprItem.id,
     gdpr_text: gdprItem.text,
     style_refs: styleRefs
@@ -299,8 +328,12 @@ async function generateAndValidate({
           "You generate NEW GDPR multiple-choice quiz questions.",
           "Use the GDPR fragment for meaning; use reference questions ONLY for style and difficulty.",
           "DO NOT copy or paraphrase reference questions.",
-          "Return strict JSON with keys: question, choices, correct_index.",
-          "Rules: exactly 4 choices; exactly one correct answer; medium difficulty unless specified; do NOT cite article numbers in the question text; do NOT quote GDPR verbatim for long spans."
+          questionType === "multiple"
+            ? "Return strict JSON with keys: question, choices, correct_indices."
+            : "Return strict JSON with keys: question, choices, correct_index.",
+          questionType === "multiple"
+            ? "Rules: a select-all-that-apply question; 4 to 6 choices; at least two but not all choices correct; medium difficulty unless specified; do NOT cite article numbers in the question text; do NOT quote GDPR verbatim for long spans."
+            : "Rules: exactly 4 choices; exactly one correct answer; medium difficulty unless specified; do NOT cite article numbers in the question text; do NOT quote GDPR verbatim for long spans."
         ].join(" ")
     },
     {
@@ -319,12 +352,12 @@ async function generateAndValidate({
   // Basic local shape check before validator call
   const shapeIssues = [];
   const qText = sanitizeQuestionText(generated?.question);
-  const choices = ensureFourChoices(generated?.choices);
-  const ci = generated?.correct_index;
+  const choices = ensureChoices(generated?.choices, questionType);
+  const indices = choices ? ensureCorrectIndices(generated, questionType, choices.length) : null;
 
   if (!qText || typeof qText !== "string" || qText.length < 20) shapeIssues.push("question_missing_or_too_short");
-  if (!choices) shapeIssues.push("choices_not_4_unique_strings");
-  if (!Number.isInteger(ci) || ci < 0 || ci > 3) shapeIssues.push("correct_index_invalid");
+  if (!choices) shapeIssues.push(questionType === "multiple" ? "choices_not_4_to_6_unique_strings" : "choices_not_4_unique_strings");
+  if (!indices) shapeIssues.push(questionType === "multiple" ? "correct_indices_invalid" : "correct_index_invalid");
 
   // Similarity gates (local, early)
   const simToRefs = maxSimilarityToList(qText, styleRefs);
@@ -339,7 +372,7 @@ async function generateAndValidate({
       generated: {
         question: qText || "",
         choices: choices || [],
-        correct_index: Number.isInteger(ci) ? ci : 0
+        ...toAnswerKey(questionType, indices || (questionType === "multiple" ? [0, 1] : [0]))
       },
       validated: { ok: false, confidence: 0.2, reasons: shapeIssues }
     };
@@ -355,7 +388,9 @@ async function generateAndValidate({
         [
           "Validate a GDPR multiple choice question for a quiz.",
           'Return strict JSON: {"ok": boolean, "confidence": number, "reasons": string[]}.',
-          "Rules: exactly one correct answer; exactly 4 choices; no article number citation in question text; not a near-copy of references; medium difficulty."
+          questionType === "multiple"
+            ? "Rules: exactly the choices in correct_indices are correct (at least two, not all); 4 to 6 choices; no article number citation in question text; not a near-copy of references; medium difficulty."
+            : "Rules: exactly one correct answer; exactly 4 choices; no article number citation in question text; not a near-copy of references; medium difficulty."
         ].join(" ")
     },
     {
@@ -363,7 +398,7 @@ async function generateAndValidate({
       content: JSON.stringify({
         question: qText,
         choices,
-        correct_index: ci,
+        ...toAnswerKey(questionType, indices),
         similarity_to_style_refs: simToRefs,
         similarity_to_existing_ai: simToExisting
       })
@@ -373,7 +408,7 @@ async function generateAndValidate({
   const validated = await callOpenAiJson(validatorPrompt);
 
   const result = {
-    generated: { question: qText, choices, correct_index: ci },
+    generated: { question: qText, choices, ...toAnswerKey(questionType, indices) },
     validated: validated && typeof validated === "object"
       ? validated
       : { ok: false, confidence: 0.2, reasons: ["validator_invalid_json"] }
@@ -390,7 +425,9 @@ function buildAiItem(candidate, index, opts, topic, gdprItem, confidence, reason
     difficulty: opts.difficulty || "medium",
     question: sanitizeQuestionText(candidate.question),
     choices: candidate.choices,
-    correct_index: candidate.correct_index,
+    ...(candidate.question_type === "multiple"
+      ? { question_type: "multiple", correct_indices: candidate.correct_indices }
+      : { correct_index: candidate.correct_index }),
     confidence,
     review_reasons: reasons || [],
     source: {
@@ -433,6 +470,7 @@ async function main() {
     const topic = opts.topics[generatedCount % opts.topics.length];
     const gdprItem = pickGdprItem(topic);
     const styleRefs = buildStyleRefs(dbQuestions, topic, opts.styleRefCount);
+    const questionType = opts.multipleEvery && (generatedCount + 1) % opts.multipleEvery === 0 ? "multiple" : "single";
 
     let accepted = null;
     let acceptedMeta = null;
@@ -444,6 +482,7 @@ async function main() {
           gdprItem,
           topic,
           difficulty: opts.difficulty,
+          questionType,
           styleRefs,
           opts,
           existingAiQuestions
@@ -0,0 +1,47 @@
+(function attachAiAnswerKey(global) {
+  const MIN_CHOICES = 2;
+  const MAX_CHOICES = 8;
+
+  function choiceLabel(index) {
+    return String.fromCharCode(65 + index);
+  }
+
+  // Single-choice items carry `correct_index`; multiple-response items
+  // (`question_type: "multiple"`) carry `correct_indices` with two or more entries.
+  function getCorrectIndices(item) {
+    if (item.question_type === "multiple" && Array.isArray(item.correct_indices)) {
+      return Array.from(new Set(item.correct_indices.filter(Number.isInteger))).sort((a, b) => a - b);
+    }
+    return Number.isInteger(item.correct_index) ? [item.correct_index] : [];
+  }
+
+  function isValidAiItem(item) {
+    if (!item || !item.question || !Array.isArray(item.choices)) return false;
+    const count = item.choices.length;
+    const indices = getCorrectIndices(item);
+    if (count < MIN_CHOICES || count > MAX_CHOICES || !indices.length) return false;
+    if (item.question_type === "multiple" && (indices.length < 2 || indices.length >= count)) return false;
+    return indices.every(index => index >= 0 && index < count);
+  }
+
+  // The bank-schema fields of an AI pool item: labelled choices and the key as
+  // `correct_label` (single choice) or `correct_labels` (multiple response).
+  function toBankAnswerKey(item) {
+    const choices = Array.isArray(item.choices) ? item.choices.slice(0, MAX_CHOICES) : [];
+    const correctIndices = getCorrectIndices(item);
+    const isMultiple = item.question_type === "multiple" && correctIndices.length > 1;
+    return {
+      question_type: isMultiple ? "multiple" : "single",
+      choices: choices.map((choiceText, choiceIndex) => ({
+        label: choiceLabel(choiceIndex),
+        text: choiceText,
+        is_correct: correctIndices.includes(choiceIndex)
+      })),
+      correct_label: isMultiple || !(correctIndices[0] < choices.length) ? null : choiceLabel(correctIndices[0]),
+      correct_labels: isMultiple ? correctIndices.map(choiceLabel) : null
+    };
+  }
+
+  global.isValidAiItem = isValidAiItem;
+  global.toBankAnswerKey = toBankAnswerKey;
+})(window);
@@ -53,7 +53,9 @@
     return attempt.stats;
   }
 
-  function awardPoints(attempt, { isCorrect, timeTaken, usedHint, skipped, questionId } = {}) {
+  // `credit` (0-1) is the partial credit of a multiple-response answer that was
+  // not fully correct; it earns that share of the base points but breaks the streak.
+  function awardPoints(attempt, { isCorrect, timeTaken, usedHint, skipped, questionId, credit = 0 } = {}) {
     if (!attempt || typeof attempt !== "object") {
       return {
         awarded: 0,
@@ -103,7 +105,10 @@
       attempt.streak = 0;
     }
 
-    const base = correct && !skippedQuestion ? POINT_RULES.correctBase : POINT_RULES.wrongBase;
+    const partialCredit = !correct && !skippedQuestion ? Math.min(1, Math.max(0, toFiniteNumber(credit, 0))) : 0;
+    const base = correct && !skippedQuestion
+      ? POINT_RULES.correctBase
+      : POINT_RULES.wrongBase + Math.round(POINT_RULES.correctBase * partialCredit);
     const streakBonus = attempt.streak > 1
       ? (attempt.streak - 1) * POINT_RULES.streakBonusStep
       : 0;
@@ -0,0 +1,101 @@
+(function attachI18n(global) {
+  const FALLBACK_LANGUAGE = "en";
+  const SUPPORTED_LANGUAGES = ["en", "pl"];
+
+  let currentLanguage = FALLBACK_LANGUAGE;
+
+  function normalizeLanguage(language) {
+    const code = String(language || "").toLowerCase().slice(0, 2);
+    return SUPPORTED_LANGUAGES.includes(code) ? code : FALLBACK_LANGUAGE;
+  }
+
+  function setLanguage(language) {
+    currentLanguage = normalizeLanguage(language);
+    if (global.document && global.document.documentElement) {
+      global.document.documentElement.lang = currentLanguage;
+    }
+    return currentLanguage;
+  }
+
+  function getLanguage() {
+    return currentLanguage;
+  }
+
+  function lookup(language, key) {
+    const catalogue = (global.I18N_MESSAGES || {})[language];
+    return catalogue && Object.prototype.hasOwnProperty.call(catalogue, key) ? catalogue[key] : undefined;
+  }
+
+  // Plural entries are objects keyed by Intl.PluralRules categories
+  // (en: one/other, pl: one/few/many/other) and selected by `params.count`.
+  function selectPlural(entry, count) {
+    const category = new Intl.PluralRules(currentLanguage).select(Number(count) || 0);
+    return entry[category] ?? entry.other ?? "";
+  }
+
+  // Translates `key` in the current language (falling back to English, then to the
+  // key itself) and fills `{name}` placeholders from `params`.
+  function t(key, params = {}) {
+    let entry = lookup(currentLanguage, key);
+    if (entry === undefined) entry = lookup(FALLBACK_LANGUAGE, key);
+    if (entry === undefined) return key;
+    if (entry && typeof entry === "object") entry = selectPlural(entry, params.count);
+    return String(entry).replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+  }
+
+  function formatNumber(value, options = {}) {
+    return new Intl.NumberFormat(currentLanguage, options).format(Number(value) || 0);
+  }
+
+  function formatPercent(percent) {
+    return formatNumber((Number(percent) || 0) / 100, { style: "percent", maximumFractionDigits: 0 });
+  }
+
+  function formatDateTime(value) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return "—";
+    return new Intl.DateTimeFormat(currentLanguage, { dateStyle: "medium", timeStyle: "short" }).format(date);
+  }
+
+  // Human-readable elapsed time, e.g. "1 hr 5 min 3 sec" / "1 godz. 5 min 3 s".
+  function formatElapsed(totalSeconds) {
+    const safe = Math.max(0, Math.round(Number(totalSeconds) || 0));
+    const parts = [
+      ["hour", Math.floor(safe / 3600)],
+      ["minute", Math.floor((safe % 3600) / 60)],
+      ["second", safe % 60]
+    ].filter(([unit, amount]) => amount > 0 || (unit === "second" && safe === 0));
+    return parts
+      .map(([unit, amount]) => formatNumber(amount, { style: "unit", unit, unitDisplay: "short" }))
+      .join(" ");
+  }
+
+  // Fills elements marked with data-i18n (text), data-i18n-placeholder,
+  // data-i18n-title and data-i18n-aria-label.
+  function applyTranslations(root = global.document) {
+    if (!root) return;
+    root.querySelectorAll("[data-i18n]").forEach((element) => {
+      element.textContent = t(element.dataset.i18n);
+    });
+    root.querySelectorAll("[data-i18n-placeholder]").forEach((element) => {
+      element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+      element.title = t(element.dataset.i18nTitle);
+    });
+    root.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+      element.setAttribute("aria-label", t(element.dataset.i18nAriaLabel));
+    });
+  }
+
+  global.SUPPORTED_LANGUAGES = SUPPORTED_LANGUAGES;
+  global.normalizeLanguage = normalizeLanguage;
+  global.setLanguage = setLanguage;
+  global.getLanguage = getLanguage;
+  global.t = t;
+  global.formatNumber = formatNumber;
+  global.formatPercent = formatPercent;
+  global.formatDateTime = formatDateTime;
+  global.formatElapsed = formatElapsed;
+  global.applyTranslations = applyTranslations;
+})(window);
@@ -0,0 +1,291 @@
+(function attachEnglishMessages(global) {
+  global.I18N_MESSAGES = global.I18N_MESSAGES || {};
+  global.I18N_MESSAGES.en = {
+    "app.title": "Exam Simulator",
+    "language.label": "Language",
+
+    "common.backHome": "Back to home",
+    "common.remove": "Remove",
+    "common.questionCount": { one: "{count} question", other: "{count} questions" },
+
+    "errors.aiBankUnavailable": "AI question pool is not available. Try again later.",
+    "errors.bankLoadFailed": "Failed to load question bank.",
+    "errors.bankLoadFailedFile": "Failed to load {file}",
+
+    "banner.newVersion": "A new version of {file} is available.",
+    "banner.attemptSaved": "Your attempt is saved and resumes after reloading.",
+    "banner.reload": "Reload",
+    "banner.later": "Later",
+
+    "home.title": "Practice exam",
+    "home.source": "Question source",
+    "home.loadingBank": "Loading question bank…",
+    "home.mode": "Mode",
+    "home.selection": "Selection",
+    "home.smartPractice": "Smart practice (focus on weak areas)",
+    "home.answers": "Answers",
+    "home.shuffle": "Shuffle answer order",
+    "home.count": "Number of questions",
+    "home.maxQuestions": "Max {count}",
+    "home.nearDuplicates": { one: "{questions} near-duplicates in {count} group, one per attempt", other: "{questions} near-duplicates in {count} groups, one of each per attempt" },
+    "home.blueprints": "Blueprints",
+    "home.timer": "Timer",
+    "home.enableTimer": "Enable timer",
+    "home.start": "Start exam",
+    "home.resume": "Resume last attempt",
+    "home.reset": "Reset",
+    "home.scoring": "Scoring",
+    "home.mistakes": "Mistake deck",
+    "home.progress": "Progress",
+    "home.browse": "Browse questions",
+
+    "scoring.settings": "Scaled score settings",
+    "scoring.summary": "Scaled {min}–{max}, pass at {pass} ({percent} correct)",
+    "scoring.weightedSummary": "weighted by domain",
+    "scoring.min": "Lowest scaled score",
+    "scoring.max": "Highest scaled score",
+    "scoring.pass": "Pass mark",
+    "scoring.passPercent": "Correct answers needed to pass (%)",
+    "scoring.multipleResponse": "Select-all-that-apply questions",
+    "scoring.allOrNothing": "All or nothing",
+    "scoring.partialCredit": "Partial credit",
+    "scoring.domain": "Domain",
+    "scoring.weight": "Weight",
+    "scoring.help": "Each question counts with the weight of its domain; 0 leaves the domain out of the scaled score.",
+    "scoring.reset": "Reset to IAPP defaults",
+    "scoring.invalidScale": "The scale needs lowest < pass mark < highest and a pass percentage between 0 and 100. The previous scale was kept.",
+
+    "source.legacy": "Legacy",
+    "source.ai": "AI",
+    "source.mixed": "Mixed",
+    "source.aiShare": "AI share",
+    "source.mixedShare": "AI {ai} • legacy {legacy}",
+
+    "mode.exam": "Exam",
+    "mode.feedback": "Feedback",
+    "mode.study": "Study",
+
+    "smart.focus": "Weakest: {groups} • {share} of questions stay random",
+    "smart.noHistory": "No finished attempts yet: unseen questions come first • {share} of questions stay random",
+    "smart.studyIgnored": "Study mode follows its review schedule instead.",
+
+    "timer.minutes": "minutes",
+    "timer.off": "off",
+    "timer.infoOff": "Timer: off",
+    "timer.left": "Timer left: {time}",
+
+    "blueprint.build": "Build a blueprint from the loaded bank",
+    "blueprint.group": "Group",
+    "blueprint.available": "Available",
+    "blueprint.draw": "Draw",
+    "blueprint.namePlaceholder": "Blueprint name",
+    "blueprint.save": "Save blueprint",
+    "blueprint.needNameAndCount": "Enter a name and at least one question count.",
+    "blueprint.none": "No saved blueprints yet.",
+    "blueprint.delete": "Delete blueprint {name}",
+
+    "mistakes.practice": "Practice mistakes",
+    "mistakes.clearAfter": "Clear after correct answers in a row",
+    "mistakes.empty": "No mistakes yet. Wrong and unanswered questions are collected here.",
+    "mistakes.count": { one: "{count} question in the deck", other: "{count} questions in the deck" },
+    "mistakes.inBank": "{count} in the loaded bank",
+    "mistakes.clearRule": { one: "a question leaves the deck after {count} correct answer", other: "a question leaves the deck after {count} correct answers in a row" },
+
+    "study.queueInfo": "{due} due for review • {fresh} new",
+    "study.nextReview": { one: "next review in {count} day", other: "next review in {count} days" },
+
+    "share.copy": "Copy paper link",
+    "share.copied": "Link copied",
+    "share.prompt": "Copy this link:",
+    "share.pending": "Shared paper {seed}: press Start (replaces the saved attempt).",
+
+    "attempt.outdated": "Saved attempt was outdated and has been cleared.",
+
+    "exam.attempt": "Attempt",
+    "exam.seed": "seed {seed}",
+    "exam.answeredCount": "{answered}/{total} answered",
+    "exam.progress": "Question {index} of {total}",
+    "exam.selectCount": "Select {count} answers.",
+    "exam.submitted": "Submitted",
+    "exam.inProgress": "In progress",
+    "exam.hint": "Hint",
+    "exam.skip": "Skip",
+    "exam.saveExit": "Save & exit",
+    "exam.submit": "Submit",
+    "exam.finish": "Finish",
+    "exam.previous": "Previous",
+    "exam.next": "Next",
+
+    "feedback.pointsInfo": "Points: {points} • Streak: {streak}",
+    "feedback.correct": "Correct",
+    "feedback.skipped": "Skipped. Correct answer: {label}",
+    "feedback.incorrect": "Incorrect, correct is {label}",
+    "feedback.partial": "Partly correct ({credit} credit), correct is {label}",
+    "feedback.hintUsed": "Hint used: Correct answer is {label}.",
+    "feedback.hintPenalty": "(-25 points)",
+
+    "explanation.title": "Why this answer",
+    "explanation.reviewReasons": "Validator notes ({count})",
+
+    "article.title": "GDPR Article {number}",
+    "article.loading": "Loading article…",
+    "article.unavailable": "The article text could not be loaded.",
+    "article.notFound": "Article {number} is not in gdpr_knowledge.json.",
+    "article.noMatch": "No sentence matches this question closely, so the whole article is shown.",
+    "article.readFull": "Read full article",
+    "article.showRelevant": "Show relevant sentences",
+
+    "flag.action": "Flag for review",
+    "flag.flagged": "Flagged",
+    "flag.next": "Next flagged ({count})",
+
+    "scenario.title": "Scenario",
+    "scenario.position": "Scenario • question {index} of {total}",
+    "scenario.score": "{correct} / {total} correct",
+    "scenario.jumpTitle": "Scenario {key}",
+
+    "submitReview.title": "Review before submitting",
+    "submitReview.back": "Back to questions",
+    "submitReview.firstUnanswered": "First unanswered",
+    "submitReview.help": "Select a question number to go back to it. Flagged questions are marked with a dot.",
+    "submitReview.summary": "{answered} of {total} answered • {unanswered} unanswered • {flagged} flagged",
+    "submitReview.answered": "Answered",
+    "submitReview.unanswered": "Unanswered",
+    "submitReview.submitWithBlanks": "Submit with {count} unanswered",
+
+    "results.title": "Results",
+    "results.score": "Score: {correct} / {total}",
+    "results.wrong": "wrong: {count}",
+    "results.partial": "partly correct: {count}",
+    "results.unanswered": "unanswered: {count}",
+    "results.flagged": "flagged: {count} ({correct} correct)",
+    "results.time": "time: {time}",
+    "results.points": "points: {count}",
+    "results.badges": "badges: {count}",
+    "results.pass": "PASS",
+    "results.fail": "FAIL",
+    "results.scaled": "Scaled score {scaled} of {max} (pass mark {pass}, margin {margin})",
+    "results.weightedPercent": "{percent} correct after domain weights",
+    "results.composition": "Composition: {ai} AI, {legacy} legacy (target {targetAi} / {targetLegacy})",
+    "results.overflow": "{short} pool ran short, {count} {other} questions filled in",
+    "results.newAttempt": "New {count}-question attempt",
+    "results.retryWrong": "Retry wrong ({count})",
+    "results.backToProgress": "Back to progress",
+    "results.onlyWrong": "Show only wrong / unanswered",
+    "results.onlyFlagged": "Show only flagged",
+    "results.answerLine": "Your answer: {your} • Correct answer: {correct}",
+
+    "pace.behind": "You are {time} behind pace",
+    "pace.ahead": "{time} ahead of pace",
+    "pace.onPace": "On pace",
+
+    "time.title": "Time per question",
+    "time.average": "Average {average} per question",
+    "time.budget": "timer budget {budget} per question",
+    "time.slowest": "Slowest questions",
+    "time.number": "#",
+    "time.question": "Question",
+    "time.result": "Result",
+
+    "status.correct": "Correct",
+    "status.wrong": "Wrong",
+    "status.partial": "Partly correct ({credit})",
+    "status.unanswered": "Unanswered",
+
+    "breakdown.byExam": "By exam",
+    "breakdown.byTopic": "By AI topic",
+    "breakdown.group": "Group",
+    "breakdown.correct": "Correct",
+    "breakdown.score": "Score",
+    "breakdown.time": "Time",
+    "breakdown.other": "Other",
+
+    "dashboard.title": "Progress",
+    "dashboard.empty": "No finished attempts yet.",
+    "dashboard.stats": "Attempts: {count} • Average score: {average} • Best: {best} • Average time per question: {perQuestion}",
+    "dashboard.entryTime": "time {time} • {perQuestion} per question",
+    "dashboard.review": "Review",
+    "dashboard.trendNeedsMore": "Finish another attempt to see your score trend.",
+    "dashboard.trendLabel": "Score trend (0-100%)",
+
+    "notes.title": "Notes",
+    "notes.add": "Add a note",
+    "notes.mine": "My note",
+    "notes.placeholder": "Mnemonic, article reference, ...",
+    "notes.searchPlaceholder": "Search notes and questions",
+    "notes.count": { one: "{count} note", other: "{count} notes" },
+    "notes.countFiltered": "{shown} of {total} notes",
+    "notes.empty": "No notes yet. Add one under any question in Feedback or Study mode, or in the results review.",
+    "notes.missingQuestion": "Question not in the loaded bank.",
+
+    "report.action": "Report issue",
+    "report.reported": "Issue reported: {category}",
+    "report.alreadyNeedsReview": "This question is already marked as needing human review.",
+    "report.category.wrong_key": "Wrong answer key",
+    "report.category.typo": "Typo / OCR noise",
+    "report.category.ambiguous": "Ambiguous",
+    "report.category.outdated_law": "Outdated law",
+    "report.field.category": "Category",
+    "report.field.text": "Corrected question text",
+    "report.field.choice": "Corrected choice {label}",
+    "report.field.key": "Correct answer (bank label)",
+    "report.field.comment": "Comment",
+    "report.unchanged": "Unchanged",
+    "report.commentPlaceholder": "Optional comment for maintainers",
+    "report.save": "Save report",
+    "report.update": "Update report",
+    "report.remove": "Remove report",
+    "report.saved": "Report saved. Export it from the progress dashboard.",
+    "report.removed": "Report removed.",
+
+    "reports.title": "Reported questions",
+    "reports.count": { one: "{count} reported question", other: "{count} reported questions" },
+    "reports.empty": "No reported questions. Use Report issue under a question.",
+    "reports.exportPatch": "Export as extra_questions.json",
+    "reports.exportOverrides": "Export override file",
+    "reports.noPatch": "No reports with corrections to legacy questions to export.",
+    "reports.patchExported": "Corrected questions exported: {count}.",
+    "reports.patchSkipped": "Left out (no legacy correction, use the override file): {count}.",
+    "reports.none": "No reports to export.",
+    "reports.overridesExported": "Reports exported: {count}.",
+    "reports.corrects": "Corrects {changes}",
+    "reports.noCorrection": "No correction",
+    "reports.change.text": "text",
+    "reports.change.choices": "choices {labels}",
+    "reports.change.key": "key → {label}",
+
+    "backup.export": "Export progress",
+    "backup.import": "Import progress",
+    "backup.notBackup": "Not a progress backup file.",
+    "backup.unsupportedVersion": "Unsupported backup version: {version}.",
+    "backup.imported": "Imported {history} attempts, {reviews} review records, {blueprints} blueprints, {notes} notes, {reports} issue reports, {mistakes} mistake deck entries.",
+    "backup.importedAttempt": "The saved attempt was restored.",
+    "backup.importedSettings": "Settings were restored.",
+    "backup.importFailed": "Import failed: {reason}",
+    "backup.invalidFile": "invalid file.",
+
+    "browse.title": "Question bank",
+    "browse.searchPlaceholder": "Search question and choice text",
+    "browse.exam": "Exam",
+    "browse.topic": "AI topic",
+    "browse.origin": "Source origin",
+    "browse.review": "Human review",
+    "browse.anyReview": "Any review status",
+    "browse.needsReview": "Needs human review",
+    "browse.noReview": "No review needed",
+    "browse.minConfidence": "Min confidence",
+    "browse.allExams": "All exams",
+    "browse.allTopics": "All topics",
+    "browse.allOrigins": "All origins",
+    "browse.count": "{shown} of {total} questions",
+    "browse.confidence": "confidence {value}",
+    "browse.needsReviewTag": "needs review",
+    "browse.open": "Open",
+    "browse.more": "Show more",
+    "browse.backToList": "Back to list",
+    "browse.cardLabel": "Browse",
+    "browse.confidenceMeta": "Confidence {value}",
+    "browse.reveal": "Reveal answer",
+    "browse.correctAnswer": "Correct answer: {label}"
+  };
+})(window);
@@ -0,0 +1,291 @@
+(function attachPolishMessages(global) {
+  global.I18N_MESSAGES = global.I18N_MESSAGES || {};
+  global.I18N_MESSAGES.pl = {
+    "app.title": "Symulator egzaminu",
+    "language.label": "Język",
+
+    "common.backHome": "Powrót do strony głównej",
+    "common.remove": "Usuń",
+    "common.questionCount": { one: "{count} pytanie", few: "{count} pytania", many: "{count} pytań", other: "{count} pytania" },
+
+    "errors.aiBankUnavailable": "Brak puli AI. Spróbuj później.",
+    "errors.bankLoadFailed": "Nie udało się wczytać puli pytań.",
+    "errors.bankLoadFailedFile": "Nie udało się wczytać pliku {file}",
+
+    "banner.newVersion": "Dostępna jest nowa wersja pliku {file}.",
+    "banner.attemptSaved": "Twoje podejście jest zapisane i zostanie wznowione po przeładowaniu.",
+    "banner.reload": "Przeładuj",
+    "banner.later": "Później",
+
+    "home.title": "Egzamin próbny",
+    "home.source": "Źródło pytań",
+    "home.loadingBank": "Wczytywanie puli pytań…",
+    "home.mode": "Tryb",
+    "home.selection": "Dobór pytań",
+    "home.smartPractice": "Inteligentna praktyka (nacisk na słabe obszary)",
+    "home.answers": "Odpowiedzi",
+    "home.shuffle": "Losowa kolejność odpowiedzi",
+    "home.count": "Liczba pytań",
+    "home.maxQuestions": "Maks. {count}",
+    "home.nearDuplicates": { one: "{questions} podobnych pytań w {count} grupie, jedno na podejście", few: "{questions} podobnych pytań w {count} grupach, po jednym z każdej na podejście", many: "{questions} podobnych pytań w {count} grupach, po jednym z każdej na podejście", other: "{questions} podobnych pytań w {count} grupach, po jednym z każdej na podejście" },
+    "home.blueprints": "Schematy",
+    "home.timer": "Czas",
+    "home.enableTimer": "Włącz limit czasu",
+    "home.start": "Rozpocznij egzamin",
+    "home.resume": "Wznów ostatnie podejście",
+    "home.reset": "Resetuj",
+    "home.scoring": "Punktacja",
+    "home.mistakes": "Talia błędów",
+    "home.progress": "Postępy",
+    "home.browse": "Przeglądaj pytania",
+
+    "scoring.settings": "Ustawienia wyniku skalowanego",
+    "scoring.summary": "Skala {min}–{max}, zaliczenie od {pass} ({percent} poprawnych)",
+    "scoring.weightedSummary": "z wagami domen",
+    "scoring.min": "Najniższy wynik skalowany",
+    "scoring.max": "Najwyższy wynik skalowany",
+    "scoring.pass": "Próg zaliczenia",
+    "scoring.passPercent": "Poprawne odpowiedzi potrzebne do zaliczenia (%)",
+    "scoring.multipleResponse": "Pytania wielokrotnej odpowiedzi",
+    "scoring.allOrNothing": "Wszystko albo nic",
+    "scoring.partialCredit": "Punkty częściowe",
+    "scoring.domain": "Domena",
+    "scoring.weight": "Waga",
+    "scoring.help": "Każde pytanie liczy się z wagą swojej domeny; 0 wyłącza domenę z wyniku skalowanego.",
+    "scoring.reset": "Przywróć ustawienia IAPP",
+    "scoring.invalidScale": "Skala wymaga: najniższy < próg zaliczenia < najwyższy oraz procentu zaliczenia między 0 a 100. Zachowano poprzednią skalę.",
+
+    "source.legacy": "Klasyczne",
+    "source.ai": "AI",
+    "source.mixed": "Mieszane",
+    "source.aiShare": "Udział AI",
+    "source.mixedShare": "AI {ai} • klasyczne {legacy}",
+
+    "mode.exam": "Egzamin",
+    "mode.feedback": "Informacja zwrotna",
+    "mode.study": "Nauka",
+
+    "smart.focus": "Najsłabsze: {groups} • {share} pytań pozostaje losowych",
+    "smart.noHistory": "Brak ukończonych podejść: najpierw pytania jeszcze niewidziane • {share} pytań pozostaje losowych",
+    "smart.studyIgnored": "Tryb nauki korzysta z własnego harmonogramu powtórek.",
+
+    "timer.minutes": "minut",
+    "timer.off": "wyłączony",
+    "timer.infoOff": "Limit czasu: wyłączony",
+    "timer.left": "Pozostały czas: {time}",
+
+    "blueprint.build": "Zbuduj schemat z wczytanej puli",
+    "blueprint.group": "Grupa",
+    "blueprint.available": "Dostępne",
+    "blueprint.draw": "Losuj",
+    "blueprint.namePlaceholder": "Nazwa schematu",
+    "blueprint.save": "Zapisz schemat",
+    "blueprint.needNameAndCount": "Podaj nazwę i liczbę pytań dla co najmniej jednej grupy.",
+    "blueprint.none": "Brak zapisanych schematów.",
+    "blueprint.delete": "Usuń schemat {name}",
+
+    "mistakes.practice": "Ćwicz błędy",
+    "mistakes.clearAfter": "Usuń po tylu poprawnych odpowiedziach z rzędu",
+    "mistakes.empty": "Brak błędów. Tutaj trafiają pytania z błędną odpowiedzią i bez odpowiedzi.",
+    "mistakes.count": { one: "{count} pytanie w talii", few: "{count} pytania w talii", many: "{count} pytań w talii", other: "{count} pytania w talii" },
+    "mistakes.inBank": "{count} w załadowanej puli",
+    "mistakes.clearRule": { one: "pytanie opuszcza talię po {count} poprawnej odpowiedzi", few: "pytanie opuszcza talię po {count} poprawnych odpowiedziach z rzędu", many: "pytanie opuszcza talię po {count} poprawnych odpowiedziach z rzędu", other: "pytanie opuszcza talię po {count} poprawnych odpowiedziach z rzędu" },
+
+    "study.queueInfo": "Do powtórki: {due} • nowe: {fresh}",
+    "study.nextReview": { one: "następna powtórka za {count} dzień", few: "następna powtórka za {count} dni", many: "następna powtórka za {count} dni", other: "następna powtórka za {count} dnia" },
+
+    "share.copy": "Kopiuj link do zestawu",
+    "share.copied": "Skopiowano link",
+    "share.prompt": "Skopiuj ten link:",
+    "share.pending": "Udostępniony zestaw {seed}: naciśnij Start (zastąpi zapisane podejście).",
+
+    "attempt.outdated": "Zapisane podejście było nieaktualne i zostało usunięte.",
+
+    "exam.attempt": "Podejście",
+    "exam.seed": "ziarno {seed}",
+    "exam.answeredCount": "odpowiedzi: {answered}/{total}",
+    "exam.progress": "Pytanie {index} z {total}",
+    "exam.selectCount": "Zaznacz {count} odpowiedzi.",
+    "exam.submitted": "Zakończone",
+    "exam.inProgress": "W toku",
+    "exam.hint": "Podpowiedź",
+    "exam.skip": "Pomiń",
+    "exam.saveExit": "Zapisz i wyjdź",
+    "exam.submit": "Zakończ egzamin",
+    "exam.finish": "Zakończ",
+    "exam.previous": "Poprzednie",
+    "exam.next": "Następne",
+
+    "feedback.pointsInfo": "Punkty: {points} • Seria: {streak}",
+    "feedback.correct": "Dobrze",
+    "feedback.skipped": "Pominięto. Poprawna odpowiedź: {label}",
+    "feedback.incorrect": "Źle, poprawna to {label}",
+    "feedback.partial": "Częściowo dobrze (zaliczono {credit}), poprawne to {label}",
+    "feedback.hintUsed": "Użyto podpowiedzi: poprawna odpowiedź to {label}.",
+    "feedback.hintPenalty": "(-25 punktów)",
+
+    "explanation.title": "Uzasadnienie",
+    "explanation.reviewReasons": "Uwagi walidatora ({count})",
+
+    "article.title": "RODO, art. {number}",
+    "article.loading": "Wczytywanie artykułu…",
+    "article.unavailable": "Nie udało się wczytać treści artykułu.",
+    "article.notFound": "Artykułu {number} nie ma w gdpr_knowledge.json.",
+    "article.noMatch": "Żadne zdanie nie pasuje wyraźnie do pytania, dlatego pokazano cały artykuł.",
+    "article.readFull": "Przeczytaj cały artykuł",
+    "article.showRelevant": "Pokaż kluczowe zdania",
+
+    "flag.action": "Oznacz do powrotu",
+    "flag.flagged": "Oznaczone",
+    "flag.next": "Następne oznaczone ({count})",
+
+    "scenario.title": "Kazus",
+    "scenario.position": "Kazus • pytanie {index} z {total}",
+    "scenario.score": "poprawnie: {correct} / {total}",
+    "scenario.jumpTitle": "Kazus {key}",
+
+    "submitReview.title": "Przegląd przed zakończeniem",
+    "submitReview.back": "Wróć do pytań",
+    "submitReview.firstUnanswered": "Pierwsze bez odpowiedzi",
+    "submitReview.help": "Wybierz numer pytania, aby do niego wrócić. Oznaczone pytania mają kropkę.",
+    "submitReview.summary": "Odpowiedzi: {answered} z {total} • bez odpowiedzi: {unanswered} • oznaczone: {flagged}",
+    "submitReview.answered": "Z odpowiedzią",
+    "submitReview.unanswered": "Bez odpowiedzi",
+    "submitReview.submitWithBlanks": "Zakończ mimo {count} bez odpowiedzi",
+
+    "results.title": "Wyniki",
+    "results.score": "Wynik: {correct} / {total}",
+    "results.wrong": "błędne: {count}",
+    "results.partial": "częściowo poprawne: {count}",
+    "results.unanswered": "bez odpowiedzi: {count}",
+    "results.flagged": "oznaczone: {count} (poprawnie: {correct})",
+    "results.time": "czas: {time}",
+    "results.points": "punkty: {count}",
+    "results.badges": "odznaki: {count}",
+    "results.pass": "ZDANY",
+    "results.fail": "NIEZDANY",
+    "results.scaled": "Wynik skalowany {scaled} z {max} (próg {pass}, różnica {margin})",
+    "results.weightedPercent": "{percent} poprawnych po uwzględnieniu wag domen",
+    "results.composition": "Skład: AI {ai}, klasyczne {legacy} (cel {targetAi} / {targetLegacy})",
+    "results.overflow": "Pula {short} się wyczerpała, uzupełniono z puli {other}: {count}",
+    "results.newAttempt": { one: "Nowe podejście ({count} pytanie)", few: "Nowe podejście ({count} pytania)", many: "Nowe podejście ({count} pytań)", other: "Nowe podejście ({count} pytania)" },
+    "results.retryWrong": "Powtórz błędne ({count})",
+    "results.backToProgress": "Powrót do postępów",
+    "results.onlyWrong": "Pokaż tylko błędne / bez odpowiedzi",
+    "results.onlyFlagged": "Pokaż tylko oznaczone",
+    "results.answerLine": "Twoja odpowiedź: {your} • Poprawna odpowiedź: {correct}",
+
+    "pace.behind": "Jesteś {time} za planem",
+    "pace.ahead": "{time} przed planem",
+    "pace.onPace": "Tempo zgodne z planem",
+
+    "time.title": "Czas na pytanie",
+    "time.average": "Średnio {average} na pytanie",
+    "time.budget": "budżet timera {budget} na pytanie",
+    "time.slowest": "Najdłużej rozwiązywane pytania",
+    "time.number": "#",
+    "time.question": "Pytanie",
+    "time.result": "Wynik",
+
+    "status.correct": "Dobrze",
+    "status.wrong": "Źle",
+    "status.partial": "Częściowo ({credit})",
+    "status.unanswered": "Bez odpowiedzi",
+
+    "breakdown.byExam": "Według egzaminu",
+    "breakdown.byTopic": "Według tematu AI",
+    "breakdown.group": "Grupa",
+    "breakdown.correct": "Poprawne",
+    "breakdown.score": "Wynik",
+    "breakdown.time": "Czas",
+    "breakdown.other": "Inne",
+
+    "dashboard.title": "Postępy",
+    "dashboard.empty": "Brak zakończonych podejść.",
+    "dashboard.stats": "Podejścia: {count} • Średni wynik: {average} • Najlepszy: {best} • Średni czas na pytanie: {perQuestion}",
+    "dashboard.entryTime": "czas {time} • {perQuestion} na pytanie",
+    "dashboard.review": "Przegląd",
+    "dashboard.trendNeedsMore": "Zakończ kolejne podejście, aby zobaczyć trend wyników.",
+    "dashboard.trendLabel": "Trend wyników (0-100%)",
+
+    "notes.title": "Notatki",
+    "notes.add": "Dodaj notatkę",
+    "notes.mine": "Moja notatka",
+    "notes.placeholder": "Skojarzenie, odwołanie do artykułu, ...",
+    "notes.searchPlaceholder": "Szukaj w notatkach i pytaniach",
+    "notes.count": { one: "{count} notatka", few: "{count} notatki", many: "{count} notatek", other: "{count} notatki" },
+    "notes.countFiltered": "Notatki: {shown} z {total}",
+    "notes.empty": "Brak notatek. Dodaj notatkę pod pytaniem w trybie informacji zwrotnej lub nauki albo w przeglądzie wyników.",
+    "notes.missingQuestion": "Pytania nie ma we wczytanej puli.",
+
+    "report.action": "Zgłoś problem",
+    "report.reported": "Zgłoszono problem: {category}",
+    "report.alreadyNeedsReview": "To pytanie jest już oznaczone jako wymagające weryfikacji.",
+    "report.category.wrong_key": "Błędny klucz odpowiedzi",
+    "report.category.typo": "Literówka / szum OCR",
+    "report.category.ambiguous": "Niejednoznaczne",
+    "report.category.outdated_law": "Nieaktualne przepisy",
+    "report.field.category": "Kategoria",
+    "report.field.text": "Poprawiona treść pytania",
+    "report.field.choice": "Poprawiona odpowiedź {label}",
+    "report.field.key": "Poprawna odpowiedź (etykieta w puli)",
+    "report.field.comment": "Komentarz",
+    "report.unchanged": "Bez zmian",
+    "report.commentPlaceholder": "Opcjonalny komentarz dla opiekunów",
+    "report.save": "Zapisz zgłoszenie",
+    "report.update": "Aktualizuj zgłoszenie",
+    "report.remove": "Usuń zgłoszenie",
+    "report.saved": "Zapisano zgłoszenie. Wyeksportuj je z panelu postępów.",
+    "report.removed": "Usunięto zgłoszenie.",
+
+    "reports.title": "Zgłoszone pytania",
+    "reports.count": { one: "{count} zgłoszone pytanie", few: "{count} zgłoszone pytania", many: "{count} zgłoszonych pytań", other: "{count} zgłoszonego pytania" },
+    "reports.empty": "Brak zgłoszeń. Użyj opcji Zgłoś problem pod pytaniem.",
+    "reports.exportPatch": "Eksportuj jako extra_questions.json",
+    "reports.exportOverrides": "Eksportuj plik poprawek",
+    "reports.noPatch": "Brak zgłoszeń z poprawkami pytań klasycznych do eksportu.",
+    "reports.patchExported": "Wyeksportowane poprawione pytania: {count}.",
+    "reports.patchSkipped": "Pominięte (brak poprawki pytania klasycznego, użyj pliku poprawek): {count}.",
+    "reports.none": "Brak zgłoszeń do eksportu.",
+    "reports.overridesExported": "Wyeksportowane zgłoszenia: {count}.",
+    "reports.corrects": "Poprawia: {changes}",
+    "reports.noCorrection": "Bez poprawki",
+    "reports.change.text": "treść",
+    "reports.change.choices": "odpowiedzi {labels}",
+    "reports.change.key": "klucz → {label}",
+
+    "backup.export": "Eksportuj postępy",
+    "backup.import": "Importuj postępy",
+    "backup.notBackup": "To nie jest plik kopii zapasowej postępów.",
+    "backup.unsupportedVersion": "Nieobsługiwana wersja kopii zapasowej: {version}.",
+    "backup.imported": "Zaimportowano: podejścia {history}, rekordy powtórek {reviews}, schematy {blueprints}, notatki {notes}, zgłoszenia {reports}, wpisy talii błędów {mistakes}.",
+    "backup.importedAttempt": "Przywrócono zapisane podejście.",
+    "backup.importedSettings": "Przywrócono ustawienia.",
+    "backup.importFailed": "Import nie powiódł się: {reason}",
+    "backup.invalidFile": "nieprawidłowy plik.",
+
+    "browse.title": "Pula pytań",
+    "browse.searchPlaceholder": "Szukaj w treści pytań i odpowiedzi",
+    "browse.exam": "Egzamin",
+    "browse.topic": "Temat AI",
+    "browse.origin": "Pochodzenie",
+    "browse.review": "Weryfikacja",
+    "browse.anyReview": "Dowolny status weryfikacji",
+    "browse.needsReview": "Wymaga weryfikacji",
+    "browse.noReview": "Nie wymaga weryfikacji",
+    "browse.minConfidence": "Min. pewność",
+    "browse.allExams": "Wszystkie egzaminy",
+    "browse.allTopics": "Wszystkie tematy",
+    "browse.allOrigins": "Każde pochodzenie",
+    "browse.count": "Pytania: {shown} z {total}",
+    "browse.confidence": "pewność {value}",
+    "browse.needsReviewTag": "wymaga weryfikacji",
+    "browse.open": "Otwórz",
+    "browse.more": "Pokaż więcej",
+    "browse.backToList": "Powrót do listy",
+    "browse.cardLabel": "Podgląd",
+    "browse.confidenceMeta": "Pewność {value}",
+    "browse.reveal": "Pokaż odpowiedź",
+    "browse.correctAnswer": "Poprawna odpowiedź: {label}"
+  };
+})(window);
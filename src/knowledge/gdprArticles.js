@@ -0,0 +1,98 @@
+(function attachGdprArticles(global) {
+  const HIGHLIGHT_RULES = {
+    maxSentences: 3,
+    minSharedTerms: 2,
+    minTermLength: 4
+  };
+
+  const STOP_WORDS = new Set([
+    "about", "after", "also", "been", "before", "being", "both", "does", "each", "from",
+    "have", "into", "more", "most", "must", "only", "other", "shall", "should", "such",
+    "than", "that", "their", "them", "then", "there", "these", "they", "this", "those",
+    "under", "were", "what", "when", "where", "which", "while", "will", "with", "without",
+    "would", "your", "following", "regulation", "article", "paragraph"
+  ]);
+
+  // Accepts the `gdpr_knowledge.json` shapes the generator accepts: an array or
+  // `{ items: [] }` of `{ id, topic, text }` fragments.
+  function normalizeGdprKnowledge(raw) {
+    const items = Array.isArray(raw) ? raw : (raw?.items || raw?.fragments || []);
+    if (!Array.isArray(items)) return [];
+    return items
+      .map((item, idx) => {
+        const text = String(item?.text ?? item?.fragment ?? "").trim();
+        const numberMatch = text.match(/^Article\s+(\d+)\b/i) || String(item?.id ?? "").match(/^gdpr_(\d+)$/);
+        return {
+          id: String(item?.id ?? `gdpr_${idx + 1}`),
+          number: numberMatch ? Number(numberMatch[1]) : null,
+          title: parseArticleTitle(text),
+          text
+        };
+      })
+      .filter(article => article.text);
+  }
+
+  // "Article 35 Data protection impact assessment 1. Where ..." -> the heading.
+  // Articles without numbered paragraphs have no reliable end of heading.
+  function parseArticleTitle(text) {
+    const match = String(text).match(/^Article\s+\d+\s+(.{3,150}?)\s+1\.\s/);
+    return match ? match[1] : "";
+  }
+
+  function articleBody(article) {
+    return article.text.replace(/^Article\s+\d+\s+/i, "").slice(article.title ? article.title.length : 0).trim();
+  }
+
+  // Resolves a question reference such as "gdpr_35", "Article 35" or "Art. 35(1)".
+  function findGdprArticle(articles, ref) {
+    if (!Array.isArray(articles) || ref == null) return null;
+    const value = String(ref).trim();
+    const byId = articles.find(article => article.id === value);
+    if (byId) return byId;
+    const numberMatch = value.match(/\bArt(?:icle|\.)?\s*(\d+)/i);
+    if (!numberMatch) return null;
+    return articles.find(article => article.number === Number(numberMatch[1])) || null;
+  }
+
+  // Splits after full stops, semicolons and colons that are followed by a
+  // paragraph ("2."), point ("(b)") or capitalised sentence; a paragraph number
+  // stays attached to its sentence.
+  function splitArticleSentences(text) {
+    return String(text)
+      .split(/(?<=[.;:])(?<!(?:^|\s)\d{1,3}\.)\s+(?=(?:\d+\.\s|\([a-z0-9]+\)\s|[A-Z‘“]))/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+  }
+
+  function toTerms(text) {
+    return new Set(
+      String(text || "")
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length >= HIGHLIGHT_RULES.minTermLength && !STOP_WORDS.has(word))
+    );
+  }
+
+  // Indexes of the sentences sharing the most terms with the question and its
+  // keyed answer, in article order.
+  function findRelevantSentences(sentences, queryText) {
+    const queryTerms = toTerms(queryText);
+    return sentences
+      .map((sentence, index) => {
+        let shared = 0;
+        toTerms(sentence).forEach((term) => { if (queryTerms.has(term)) shared += 1; });
+        return { index, shared };
+      })
+      .filter(item => item.shared >= HIGHLIGHT_RULES.minSharedTerms)
+      .sort((a, b) => b.shared - a.shared || a.index - b.index)
+      .slice(0, HIGHLIGHT_RULES.maxSentences)
+      .map(item => item.index)
+      .sort((a, b) => a - b);
+  }
+
+  global.normalizeGdprKnowledge = normalizeGdprKnowledge;
+  global.findGdprArticle = findGdprArticle;
+  global.articleBody = articleBody;
+  global.splitArticleSentences = splitArticleSentences;
+  global.findRelevantSentences = findRelevantSentences;
+})(window);
@@ -0,0 +1,40 @@
+(function attachSeededRandom(global) {
+  const SEED_ALPHABET = "abcdefghijkmnpqrstuvwxyz23456789";
+  const SEED_LENGTH = 8;
+
+  // xmur3: folds an arbitrary string into a 32-bit seed.
+  function hashSeed(seed) {
+    const text = String(seed);
+    let h = 1779033703 ^ text.length;
+    for (let i = 0; i < text.length; i += 1) {
+      h = Math.imul(h ^ text.charCodeAt(i), 3432918353);
+      h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    return (h ^= h >>> 16) >>> 0;
+  }
+
+  // mulberry32: returns a Math.random-compatible generator ([0, 1)) for the seed.
+  function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return function seededRandom() {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function generateSeed() {
+    let seed = "";
+    for (let i = 0; i < SEED_LENGTH; i += 1) {
+      seed += SEED_ALPHABET[Math.floor(Math.random() * SEED_ALPHABET.length)];
+    }
+    return seed;
+  }
+
+  global.createSeededRandom = createSeededRandom;
+  global.generateSeed = generateSeed;
+})(window);
@@ -0,0 +1,33 @@
+(function attachResponseScoring(global) {
+  const MULTIPLE_RESPONSE_SCHEMES = ["all_or_nothing", "partial"];
+
+  // A stored answer is one label (single choice) or an array of labels
+  // (multiple response); both become a sorted list of distinct labels.
+  function toLabelList(answer) {
+    const list = Array.isArray(answer) ? answer : (answer ? [answer] : []);
+    return Array.from(new Set(list.filter(label => typeof label === "string" && label))).sort();
+  }
+
+  // `credit` is 1 for an exact match. Under "partial" a multiple-response answer
+  // earns right picks / correct choices, as long as no more boxes are ticked than
+  // the key has (the exam screen does not allow more); ticking two of three correct
+  // choices, or two right and one wrong, both earn 2/3. Single choice questions
+  // are always all or nothing.
+  function scoreResponse(correctLabels, answer, scheme = "all_or_nothing") {
+    const selected = toLabelList(answer);
+    if (!selected.length) return { status: "unanswered", credit: 0 };
+
+    const correct = new Set(toLabelList(correctLabels));
+    const hits = selected.filter(label => correct.has(label)).length;
+    if (correct.size && hits === correct.size && selected.length === correct.size) return { status: "correct", credit: 1 };
+
+    const credit = scheme === "partial" && correct.size > 1 && selected.length <= correct.size
+      ? hits / correct.size
+      : 0;
+    return { status: "wrong", credit: Math.round(credit * 1000) / 1000 };
+  }
+
+  global.MULTIPLE_RESPONSE_SCHEMES = MULTIPLE_RESPONSE_SCHEMES;
+  global.toLabelList = toLabelList;
+  global.scoreResponse = scoreResponse;
+})(window);
@@ -0,0 +1,101 @@
+(function attachScaledScore(global) {
+  // IAPP reports results on a 100-500 scale with 300 to pass. The raw share of
+  // correct answers behind the pass mark is not published; 70% is the usual
+  // estimate and is configurable.
+  const DEFAULT_SCORING_MODEL = {
+    minScaled: 100,
+    maxScaled: 500,
+    passScaled: 300,
+    passPercent: 70,
+    multipleResponse: "all_or_nothing",
+    domainWeights: {}
+  };
+
+  function toFiniteNumber(value, fallback) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : fallback;
+  }
+
+  function readScale(source) {
+    return {
+      minScaled: Math.round(toFiniteNumber(source.minScaled, DEFAULT_SCORING_MODEL.minScaled)),
+      maxScaled: Math.round(toFiniteNumber(source.maxScaled, DEFAULT_SCORING_MODEL.maxScaled)),
+      passScaled: Math.round(toFiniteNumber(source.passScaled, DEFAULT_SCORING_MODEL.passScaled)),
+      passPercent: toFiniteNumber(source.passPercent, DEFAULT_SCORING_MODEL.passPercent)
+    };
+  }
+
+  // The scale needs min < pass < max and a pass percentage strictly between 0 and 100;
+  // normalizeScoringModel falls back to the default scale otherwise.
+  function isValidScoringScale(raw) {
+    const { minScaled, maxScaled, passScaled, passPercent } = readScale(raw && typeof raw === "object" ? raw : {});
+    return minScaled < passScaled && passScaled < maxScaled && passPercent > 0 && passPercent < 100;
+  }
+
+  function normalizeScoringModel(raw) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    const { minScaled, maxScaled, passScaled, passPercent } = readScale(source);
+    const scaleIsValid = isValidScoringScale(source);
+    const domainWeights = {};
+    Object.entries(source.domainWeights && typeof source.domainWeights === "object" ? source.domainWeights : {})
+      .forEach(([domain, weight]) => {
+        const value = Number(weight);
+        if (domain && Number.isFinite(value) && value >= 0) domainWeights[domain] = value;
+      });
+
+    const schemes = global.MULTIPLE_RESPONSE_SCHEMES || [DEFAULT_SCORING_MODEL.multipleResponse];
+    return {
+      ...(scaleIsValid ? { minScaled, maxScaled, passScaled, passPercent } : {
+        minScaled: DEFAULT_SCORING_MODEL.minScaled,
+        maxScaled: DEFAULT_SCORING_MODEL.maxScaled,
+        passScaled: DEFAULT_SCORING_MODEL.passScaled,
+        passPercent: DEFAULT_SCORING_MODEL.passPercent
+      }),
+      multipleResponse: schemes.includes(source.multipleResponse) ? source.multipleResponse : DEFAULT_SCORING_MODEL.multipleResponse,
+      domainWeights
+    };
+  }
+
+  // Piecewise linear: 0% -> minScaled, passPercent -> passScaled, 100% -> maxScaled.
+  function toScaledScore(percent, model) {
+    const p = Math.min(100, Math.max(0, toFiniteNumber(percent, 0)));
+    if (p <= model.passPercent) {
+      return model.minScaled + (p / model.passPercent) * (model.passScaled - model.minScaled);
+    }
+    return model.passScaled + ((p - model.passPercent) / (100 - model.passPercent)) * (model.maxScaled - model.passScaled);
+  }
+
+  // `items` is one entry per question: { domain, status, credit }. Each question counts
+  // with its domain weight (default 1; 0 leaves the domain out of the score) times its
+  // credit, which defaults to 1 for correct and 0 otherwise.
+  function computeScaledResult(items, rawModel) {
+    const model = normalizeScoringModel(rawModel);
+    let earned = 0;
+    let possible = 0;
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      const weight = Object.prototype.hasOwnProperty.call(model.domainWeights, item.domain) ? model.domainWeights[item.domain] : 1;
+      possible += weight;
+      const credit = item.credit != null && Number.isFinite(Number(item.credit)) ? Number(item.credit) : (item.status === "correct" ? 1 : 0);
+      earned += weight * credit;
+    });
+
+    const percent = possible ? (earned / possible) * 100 : 0;
+    // Round down so a score just below the pass mark never displays as a pass.
+    const scaled = Math.floor(toScaledScore(percent, model) + 1e-9);
+    return {
+      percent: Math.round(percent * 10) / 10,
+      scaled,
+      minScaled: model.minScaled,
+      maxScaled: model.maxScaled,
+      passScaled: model.passScaled,
+      passed: scaled >= model.passScaled,
+      margin: scaled - model.passScaled,
+      weighted: Object.values(model.domainWeights).some(weight => weight !== 1)
+    };
+  }
+
+  global.DEFAULT_SCORING_MODEL = DEFAULT_SCORING_MODEL;
+  global.isValidScoringScale = isValidScoringScale;
+  global.normalizeScoringModel = normalizeScoringModel;
+  global.computeScaledResult = computeScaledResult;
+})(window);
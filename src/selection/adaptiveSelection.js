@@ -0,0 +1,88 @@
+(function attachAdaptiveSelection(global) {
+  // Weights are relative: a never-seen question in an untouched group weighs
+  // about as much as a question missed every time, a mastered one a fifth of it.
+  const WEIGHTING_RULES = {
+    randomShare: 0.25,
+    baseWeight: 0.2,
+    unseenWeight: 1,
+    questionFactor: 1,
+    groupFactor: 1
+  };
+
+  function emptyCounter() {
+    return { seen: 0, correct: 0 };
+  }
+
+  // Per question and per group (`groupKeyOf(qid)`, null to skip) counts of scored
+  // answers in archived attempts; unanswered questions count as misses.
+  function collectAccuracyStats(entries, groupKeyOf) {
+    const questions = {};
+    const groups = {};
+    (Array.isArray(entries) ? entries : []).forEach((entry) => {
+      Object.entries(entry?.results || {}).forEach(([qid, result]) => {
+        const status = result?.status;
+        if (status !== "correct" && status !== "wrong" && status !== "unanswered") return;
+        const isCorrect = status === "correct" ? 1 : 0;
+        questions[qid] = questions[qid] || emptyCounter();
+        questions[qid].seen += 1;
+        questions[qid].correct += isCorrect;
+        const groupKey = typeof groupKeyOf === "function" ? groupKeyOf(qid) : null;
+        if (groupKey == null) return;
+        groups[groupKey] = groups[groupKey] || emptyCounter();
+        groups[groupKey].seen += 1;
+        groups[groupKey].correct += isCorrect;
+      });
+    });
+    return { questions, groups };
+  }
+
+  // Laplace-smoothed miss rate: 0.5 without data, towards 0 or 1 with more answers.
+  function missRate(counter) {
+    const seen = counter ? counter.seen : 0;
+    const correct = counter ? counter.correct : 0;
+    return (seen - correct + 1) / (seen + 2);
+  }
+
+  function questionWeight(stats, qid, groupKey) {
+    const question = stats?.questions?.[qid];
+    const groupPart = WEIGHTING_RULES.groupFactor * missRate(stats?.groups?.[groupKey]);
+    if (!question || !question.seen) return WEIGHTING_RULES.unseenWeight + groupPart;
+    return WEIGHTING_RULES.baseWeight + WEIGHTING_RULES.questionFactor * missRate(question) + groupPart;
+  }
+
+  // Orders pick units so that taking them front to back gives the adaptive draw:
+  // `randomShare` of `count` uniformly at random, the rest by weighted sampling
+  // without replacement (Efraimidis-Spirakis keys).
+  function orderUnitsAdaptively(units, weightOf, { count, random = Math.random, randomShare = WEIGHTING_RULES.randomShare } = {}) {
+    const pool = (Array.isArray(units) ? units : []).map(unit => ({ unit, key: 0 }));
+    for (let i = pool.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+
+    const target = Math.max(0, Number(count) || 0);
+    let randomQuestions = Math.ceil(target * Math.min(1, Math.max(0, randomShare)));
+    const uniform = [];
+    const rest = [];
+    pool.forEach((item) => {
+      if (randomQuestions > 0 && item.unit.length <= randomQuestions) {
+        uniform.push(item.unit);
+        randomQuestions -= item.unit.length;
+      } else {
+        rest.push(item);
+      }
+    });
+
+    rest.forEach((item) => {
+      const weight = Math.max(1e-6, Number(weightOf(item.unit)) || 0);
+      item.key = Math.pow(Math.max(random(), 1e-12), 1 / weight);
+    });
+    rest.sort((a, b) => b.key - a.key);
+    return [...uniform, ...rest.map(item => item.unit)];
+  }
+
+  global.SMART_PRACTICE_RANDOM_SHARE = WEIGHTING_RULES.randomShare;
+  global.collectAccuracyStats = collectAccuracyStats;
+  global.questionWeight = questionWeight;
+  global.orderUnitsAdaptively = orderUnitsAdaptively;
+})(window);
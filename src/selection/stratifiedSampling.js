@@ -0,0 +1,71 @@
+(function attachStratifiedSampling(global) {
+  // Largest-remainder split of `count` over strata in proportion to their sizes;
+  // no stratum gets more than it holds.
+  function allocateStratified(sizes, count) {
+    const entries = Object.entries(sizes || {}).filter(([, size]) => size > 0);
+    const total = entries.reduce((sum, [, size]) => sum + size, 0);
+    const target = Math.min(Math.max(0, Math.floor(Number(count) || 0)), total);
+    const allocation = {};
+    if (!total || !target) return allocation;
+
+    let assigned = 0;
+    const remainders = entries.map(([key, size]) => {
+      const exact = (size / total) * target;
+      allocation[key] = Math.min(size, Math.floor(exact));
+      assigned += allocation[key];
+      return { key, size, remainder: exact - Math.floor(exact) };
+    });
+    remainders.sort((a, b) => b.remainder - a.remainder || b.size - a.size || a.key.localeCompare(b.key));
+    for (let i = 0; assigned < target && i < remainders.length * 2; i += 1) {
+      const item = remainders[i % remainders.length];
+      if (allocation[item.key] >= item.size) continue;
+      allocation[item.key] += 1;
+      assigned += 1;
+    }
+    return allocation;
+  }
+
+  function shuffleInPlace(items, random) {
+    for (let i = items.length - 1; i > 0; i -= 1) {
+      const j = Math.floor(random() * (i + 1));
+      [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+  }
+
+  // Orders pick units so that taking them front to back yields a draw of `count`
+  // questions whose strata (`strataKeyOf(unit)`) mirror their share of the pool.
+  // The units left over follow in random order as overflow.
+  function orderUnitsStratified(units, strataKeyOf, { count, random = Math.random } = {}) {
+    const strata = new Map();
+    (Array.isArray(units) ? units : []).forEach((unit) => {
+      const key = String(strataKeyOf(unit));
+      if (!strata.has(key)) strata.set(key, []);
+      strata.get(key).push(unit);
+    });
+
+    const sizes = {};
+    strata.forEach((stratumUnits, key) => {
+      sizes[key] = stratumUnits.reduce((sum, unit) => sum + unit.length, 0);
+    });
+    const allocation = allocateStratified(sizes, count);
+
+    const chosen = [];
+    const rest = [];
+    strata.forEach((stratumUnits, key) => {
+      let remaining = allocation[key] || 0;
+      shuffleInPlace(stratumUnits.slice(), random).forEach((unit) => {
+        if (remaining > 0 && unit.length <= remaining) {
+          chosen.push(unit);
+          remaining -= unit.length;
+        } else {
+          rest.push(unit);
+        }
+      });
+    });
+    return [...shuffleInPlace(chosen, random), ...shuffleInPlace(rest, random)];
+  }
+
+  global.allocateStratified = allocateStratified;
+  global.orderUnitsStratified = orderUnitsStratified;
+})(window);
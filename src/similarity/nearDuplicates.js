@@ -0,0 +1,113 @@
+(function attachNearDuplicates(global) {
+  // Same tokenisation as jaccard() in scripts/generate_ai_questions.js: lower
+  // case, Polish letters kept, words of four or more characters. The threshold
+  // matches the generator's `maxSimToExisting` duplicate cut-off.
+  const SIMILARITY_RULES = {
+    threshold: 0.6,
+    minTermLength: 4
+  };
+
+  function normalizeText(text) {
+    return String(text || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9ąćęłńóśźż\s]/gi, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function tokenSet(text) {
+    return new Set(normalizeText(text).split(" ").filter(word => word.length >= SIMILARITY_RULES.minTermLength));
+  }
+
+  function jaccard(a, b) {
+    const left = a instanceof Set ? a : tokenSet(a);
+    const right = b instanceof Set ? b : tokenSet(b);
+    if (!left.size || !right.size) return 0;
+    let shared = 0;
+    left.forEach((word) => { if (right.has(word)) shared += 1; });
+    return shared / (left.size + right.size - shared);
+  }
+
+  function createUnionFind(size) {
+    const parent = Array.from({ length: size }, (_, idx) => idx);
+    const find = (idx) => {
+      let root = idx;
+      while (parent[root] !== root) root = parent[root];
+      while (parent[idx] !== root) [parent[idx], idx] = [root, parent[idx]];
+      return root;
+    };
+    const union = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    };
+    return { find, union };
+  }
+
+  // Groups items ({ id, text, group }) whose texts reach `threshold` token-set
+  // Jaccard, transitively. Items sharing a non-null `group` (scenario siblings)
+  // are never linked. Shared terms are counted through an inverted index, so
+  // only pairs with at least one common term are scored.
+  // Returns { [id]: clusterId } for items in clusters of two or more.
+  function clusterNearDuplicates(items, { threshold = SIMILARITY_RULES.threshold } = {}) {
+    const list = Array.isArray(items) ? items : [];
+    const tokens = list.map(item => Array.from(tokenSet(item.text)));
+    const postings = new Map();
+    const unionFind = createUnionFind(list.length);
+
+    tokens.forEach((words, idx) => {
+      const shared = new Map();
+      words.forEach((word) => {
+        (postings.get(word) || []).forEach((other) => { shared.set(other, (shared.get(other) || 0) + 1); });
+      });
+      shared.forEach((count, other) => {
+        const group = list[idx].group;
+        if (group != null && group === list[other].group) return;
+        if (count / (words.length + tokens[other].length - count) >= threshold) unionFind.union(idx, other);
+      });
+      words.forEach((word) => {
+        if (!postings.has(word)) postings.set(word, []);
+        postings.get(word).push(idx);
+      });
+    });
+
+    const members = new Map();
+    list.forEach((item, idx) => {
+      const root = unionFind.find(idx);
+      if (!members.has(root)) members.set(root, []);
+      members.get(root).push(String(item.id));
+    });
+
+    const clusterById = {};
+    members.forEach((ids) => {
+      if (ids.length < 2) return;
+      ids.forEach((id) => { clusterById[id] = ids[0]; });
+    });
+    return clusterById;
+  }
+
+  // FNV-1a hash of the clustering input and rules; equal fingerprints give equal
+  // clusters, so a result can be reused until the bank or the rules change.
+  function fingerprintItems(items, { threshold = SIMILARITY_RULES.threshold } = {}) {
+    let hash = 0x811c9dc5;
+    const add = (value) => {
+      const text = `${value}\u0000`;
+      for (let i = 0; i < text.length; i += 1) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+      }
+    };
+    add(`${threshold}|${SIMILARITY_RULES.minTermLength}`);
+    (Array.isArray(items) ? items : []).forEach((item) => {
+      add(item.id);
+      add(item.group ?? "");
+      add(item.text);
+    });
+    return `${(Array.isArray(items) ? items.length : 0).toString(36)}-${hash.toString(36)}`;
+  }
+
+  global.NEAR_DUPLICATE_THRESHOLD = SIMILARITY_RULES.threshold;
+  global.textJaccard = jaccard;
+  global.clusterNearDuplicates = clusterNearDuplicates;
+  global.fingerprintNearDuplicateItems = fingerprintItems;
+})(window);
@@ -0,0 +1,76 @@
+(function attachMistakeDeck(global) {
+  const DEFAULT_CLEAR_STREAK = 2;
+  const MAX_CLEAR_STREAK = 10;
+
+  function toFiniteNumber(value, fallback = 0) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : fallback;
+  }
+
+  function normalizeClearStreak(value) {
+    const streak = Math.floor(toFiniteNumber(value, DEFAULT_CLEAR_STREAK));
+    return Math.min(MAX_CLEAR_STREAK, Math.max(1, streak));
+  }
+
+  function normalizeMistakeEntry(raw) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    return {
+      misses: Math.max(1, Math.floor(toFiniteNumber(source.misses, 1))),
+      streak: Math.max(0, Math.floor(toFiniteNumber(source.streak, 0))),
+      lastMissedAt: toFiniteNumber(source.lastMissedAt, 0),
+      updatedAt: toFiniteNumber(source.updatedAt, 0)
+    };
+  }
+
+  // Applies one finished attempt to the deck: wrong and unanswered questions are
+  // added (or have their streak reset), correct answers to deck questions extend
+  // the streak and remove the question once it reaches `clearStreak`.
+  function updateMistakeDeck(deck, results, clearStreak, now = Date.now()) {
+    const next = { ...(deck && typeof deck === "object" ? deck : {}) };
+    const needed = normalizeClearStreak(clearStreak);
+    let added = 0;
+    let cleared = 0;
+
+    Object.entries(results && typeof results === "object" ? results : {}).forEach(([qid, result]) => {
+      const status = result?.status;
+      const existing = next[qid] ? normalizeMistakeEntry(next[qid]) : null;
+      if (status === "wrong" || status === "unanswered") {
+        if (!existing) added += 1;
+        next[qid] = {
+          misses: existing ? existing.misses + 1 : 1,
+          streak: 0,
+          lastMissedAt: now,
+          updatedAt: now
+        };
+      } else if (status === "correct" && existing) {
+        if (existing.streak + 1 >= needed) {
+          delete next[qid];
+          cleared += 1;
+        } else {
+          next[qid] = { ...existing, streak: existing.streak + 1, updatedAt: now };
+        }
+      }
+    });
+
+    return { deck: next, added, cleared };
+  }
+
+  // Most missed first, then most recently missed.
+  function orderMistakeDeck(deck, questionIds) {
+    const store = deck && typeof deck === "object" ? deck : {};
+    const allowed = Array.isArray(questionIds) ? new Set(questionIds.map(String)) : null;
+    return Object.keys(store)
+      .filter(qid => !allowed || allowed.has(qid))
+      .sort((a, b) => {
+        const left = normalizeMistakeEntry(store[a]);
+        const right = normalizeMistakeEntry(store[b]);
+        return right.misses - left.misses || right.lastMissedAt - left.lastMissedAt;
+      });
+  }
+
+  global.DEFAULT_MISTAKE_CLEAR_STREAK = DEFAULT_CLEAR_STREAK;
+  global.normalizeMistakeClearStreak = normalizeClearStreak;
+  global.normalizeMistakeEntry = normalizeMistakeEntry;
+  global.updateMistakeDeck = updateMistakeDeck;
+  global.orderMistakeDeck = orderMistakeDeck;
+})(window);
@@ -0,0 +1,108 @@
+(function attachSpacedRepetition(global) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const SCHEDULE_RULES = {
+    initialEase: 2.5,
+    minEase: 1.3,
+    firstIntervalDays: 1,
+    secondIntervalDays: 6,
+    lapseIntervalDays: 1,
+    passingQuality: 3
+  };
+
+  function toFiniteNumber(value, fallback = 0) {
+    const num = Number(value);
+    return Number.isFinite(num) ? num : fallback;
+  }
+
+  function normalizeReviewRecord(raw) {
+    const source = raw && typeof raw === "object" ? raw : {};
+    return {
+      lastSeenAt: toFiniteNumber(source.lastSeenAt, 0),
+      dueAt: toFiniteNumber(source.dueAt, 0),
+      ease: Math.max(SCHEDULE_RULES.minEase, toFiniteNumber(source.ease, SCHEDULE_RULES.initialEase)),
+      interval: Math.max(0, toFiniteNumber(source.interval, 0)),
+      repetitions: Math.max(0, Math.floor(toFiniteNumber(source.repetitions, 0))),
+      lapses: Math.max(0, Math.floor(toFiniteNumber(source.lapses, 0)))
+    };
+  }
+
+  // Maps a study evaluation to an SM-2 quality grade (0-5).
+  function gradeStudyAnswer({ status, usedHint } = {}) {
+    if (status === "correct") return usedHint ? 3 : 4;
+    if (status === "wrong") return 1;
+    return 0;
+  }
+
+  function scheduleReview(record, quality, now = Date.now()) {
+    const current = normalizeReviewRecord(record);
+    const q = Math.min(5, Math.max(0, Math.floor(toFiniteNumber(quality, 0))));
+
+    const ease = Math.max(
+      SCHEDULE_RULES.minEase,
+      current.ease + 0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)
+    );
+
+    let repetitions = current.repetitions;
+    let interval;
+    let lapses = current.lapses;
+
+    if (q < SCHEDULE_RULES.passingQuality) {
+      repetitions = 0;
+      interval = SCHEDULE_RULES.lapseIntervalDays;
+      lapses += 1;
+    } else {
+      repetitions += 1;
+      if (repetitions === 1) interval = SCHEDULE_RULES.firstIntervalDays;
+      else if (repetitions === 2) interval = SCHEDULE_RULES.secondIntervalDays;
+      else interval = Math.round(Math.max(1, current.interval) * ease);
+    }
+
+    return {
+      lastSeenAt: now,
+      dueAt: now + interval * DAY_MS,
+      ease: Number(ease.toFixed(2)),
+      interval,
+      repetitions,
+      lapses
+    };
+  }
+
+  function isReviewDue(record, now = Date.now()) {
+    return !!record && toFiniteNumber(record.dueAt, 0) <= now;
+  }
+
+  // Orders question ids for a study session: overdue reviews first (most overdue
+  // first), then never-seen questions in the given order, then upcoming reviews.
+  function orderStudyQueue(questionIds, records, now = Date.now()) {
+    const store = records && typeof records === "object" ? records : {};
+    const due = [];
+    const fresh = [];
+    const upcoming = [];
+
+    (Array.isArray(questionIds) ? questionIds : []).forEach((qid) => {
+      const record = store[qid];
+      if (!record) {
+        fresh.push(qid);
+      } else if (isReviewDue(record, now)) {
+        due.push(qid);
+      } else {
+        upcoming.push(qid);
+      }
+    });
+
+    due.sort((a, b) => toFiniteNumber(store[a].dueAt) - toFiniteNumber(store[b].dueAt));
+    upcoming.sort((a, b) => toFiniteNumber(store[a].dueAt) - toFiniteNumber(store[b].dueAt));
+
+    return {
+      dueCount: due.length,
+      freshCount: fresh.length,
+      queue: [...due, ...fresh, ...upcoming]
+    };
+  }
+
+  global.normalizeReviewRecord = normalizeReviewRecord;
+  global.gradeStudyAnswer = gradeStudyAnswer;
+  global.scheduleReview = scheduleReview;
+  global.orderStudyQueue = orderStudyQueue;
+})(window);
@@ -0,0 +1,146 @@
+// Service worker: keeps the app usable offline.
+// - App shell: served from cache, refreshed in the background (stale-while-revalidate).
+//   Bump SHELL_CACHE when the file list changes.
+// - Question banks: served from cache, then revalidated with the server (ETag /
+//   Last-Modified); when the bank's version differs from the cached copy, the cache is
+//   updated and open pages get a "bank-updated" message so they can offer a reload.
+//   The article knowledge file is cached and revalidated the same way, but quietly:
+//   the new copy is used on the next load.
+const SHELL_CACHE = "exam-simulator-shell-v10";
+const BANK_CACHE = "exam-simulator-banks-v1";
+
+const SHELL_FILES = [
+  "./",
+  "index.html",
+  "styles.css",
+  "app.js",
+  "src/i18n/i18n.js",
+  "src/i18n/messages.en.js",
+  "src/i18n/messages.pl.js",
+  "src/knowledge/gdprArticles.js",
+  "src/bank/aiAnswerKey.js",
+  "src/scoring/responseScoring.js",
+  "src/scoring/scaledScore.js",
+  "src/gamification/points.js",
+  "src/gamification/badges.js",
+  "src/study/spacedRepetition.js",
+  "src/study/mistakeDeck.js",
+  "src/selection/adaptiveSelection.js",
+  "src/selection/stratifiedSampling.js",
+  "src/similarity/nearDuplicates.js",
+  "src/random/seededRandom.js",
+  "manifest.webmanifest",
+  "DWF_LLP_Logo.svg",
+  "dwf_background.png"
+];
+
+const BANK_FILES = [
+  "questions.json",
+  "extra_questions.json",
+  "ai_questions.json"
+];
+
+const KNOWLEDGE_FILES = [
+  "gdpr_knowledge.json"
+];
+
+const DATA_FILES = [...BANK_FILES, ...KNOWLEDGE_FILES];
+
+function scopedUrl(file) {
+  return new URL(file, self.registration.scope).href;
+}
+
+function bankFileFor(url) {
+  const { pathname } = new URL(url);
+  return DATA_FILES.find(file => pathname === new URL(scopedUrl(file)).pathname) || null;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    // Cache files one by one so a single missing asset does not abort the install.
+    await Promise.all(SHELL_FILES.map(file => shell.add(scopedUrl(file)).catch(() => {})));
+    const banks = await caches.open(BANK_CACHE);
+    await Promise.all(DATA_FILES.map(file => banks.add(new Request(scopedUrl(file), { cache: "no-cache" })).catch(() => {})));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, BANK_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith("exam-simulator-") && !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function notifyClients(message) {
+  const clients = await self.clients.matchAll({ type: "window" });
+  clients.forEach(client => client.postMessage(message));
+}
+
+function bankVersion(response) {
+  const etag = response.headers.get("ETag");
+  const lastModified = response.headers.get("Last-Modified");
+  return etag || lastModified ? `${etag || ""}|${lastModified || ""}` : null;
+}
+
+// Bodies are only compared when the server sends no validators.
+async function isSameBank(cached, fresh) {
+  const cachedVersion = bankVersion(cached);
+  const freshVersion = bankVersion(fresh);
+  if (cachedVersion && freshVersion) return cachedVersion === freshVersion;
+  return (await cached.clone().text()) === (await fresh.clone().text());
+}
+
+// "no-cache" revalidates with the server, so an unchanged bank costs a 304 rather
+// than a full download.
+async function refreshBank(file, cached) {
+  const response = await fetch(scopedUrl(file), { cache: "no-cache" });
+  if (!response.ok) return response;
+
+  if (!cached || !(await isSameBank(cached, response))) {
+    const cache = await caches.open(BANK_CACHE);
+    await cache.put(scopedUrl(file), response.clone());
+    if (cached && BANK_FILES.includes(file)) await notifyClients({ type: "bank-updated", file });
+  }
+  return response;
+}
+
+async function handleBankRequest(event, file) {
+  const cache = await caches.open(BANK_CACHE);
+  const cached = await cache.match(scopedUrl(file));
+  const refresh = refreshBank(file, cached);
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+async function handleShellRequest(event) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(event.request, { ignoreSearch: true });
+  const refresh = fetch(event.request).then((response) => {
+    if (response.ok) cache.put(event.request, response.clone());
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh.catch(async () => (
+    event.request.mode === "navigate" ? cache.match(scopedUrl("index.html")) : Response.error()
+  ));
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET" || new URL(request.url).origin !== self.location.origin) return;
+
+  const bankFile = bankFileFor(request.url);
+  event.respondWith(bankFile ? handleBankRequest(event, bankFile) : handleShellRequest(event));
+});
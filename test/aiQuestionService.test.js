@@ -47,6 +47,39 @@ test("choice integrity validates labels/text/correct", () => {
   assert.equal(bad.ok, false);
 });
 
+test("choice integrity accepts multiple-response keys and variable choice counts", () => {
+  const choices = [
+    { label: "A", text: "One" },
+    { label: "B", text: "Two" },
+    { label: "C", text: "Three" },
+    { label: "D", text: "Four" },
+    { label: "E", text: "Five" }
+  ];
+  const ok = validateChoiceIntegrity({ question_type: "multiple", choices, correct_label: "A", correct_labels: ["A", "D"] });
+  assert.equal(ok.ok, true);
+
+  const single = validateChoiceIntegrity({ question_type: "single", choices: choices.slice(0, 3), correct_label: "B", correct_labels: ["B"] });
+  assert.equal(single.ok, true);
+
+  const singleWithoutLabels = validateChoiceIntegrity({ question_type: "single", choices: choices.slice(0, 3), correct_label: "B" });
+  assert.equal(singleWithoutLabels.ok, true);
+
+  const singleMismatch = validateChoiceIntegrity({ question_type: "single", choices, correct_label: "A", correct_labels: ["B"] });
+  assert.equal(singleMismatch.reason, "single_correct_labels_mismatch");
+
+  const singleTwoLabels = validateChoiceIntegrity({ question_type: "single", choices, correct_label: "A", correct_labels: ["A", "B"] });
+  assert.equal(singleTwoLabels.reason, "single_correct_labels_mismatch");
+
+  const oneKey = validateChoiceIntegrity({ question_type: "multiple", choices, correct_label: "A", correct_labels: ["A"] });
+  assert.equal(oneKey.reason, "multiple_needs_two_correct");
+
+  const allKeys = validateChoiceIntegrity({ question_type: "multiple", choices: choices.slice(0, 2), correct_label: "A", correct_labels: ["A", "B"] });
+  assert.equal(allKeys.reason, "multiple_all_correct");
+
+  const unknown = validateChoiceIntegrity({ question_type: "multiple", choices, correct_label: "A", correct_labels: ["A", "F"] });
+  assert.equal(unknown.reason, "correct_label_not_in_choices");
+});
+
 test("difficulty heuristic detects harder patterns", () => {
   const easy = estimateDifficulty("Która odpowiedź jest poprawna?", [
     { text: "A" },
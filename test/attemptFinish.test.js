@@ -0,0 +1,131 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+// app.js is a page script. This runs it with the modules from index.html against a
+// DOM stub that accepts any call, so the attempt functions can be driven directly.
+function fakeElement() {
+  const store = {
+    style: {},
+    dataset: {},
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    children: [],
+    value: "",
+    textContent: "",
+    checked: false
+  };
+  return new Proxy(store, {
+    get: (target, prop) => (prop in target || typeof prop === "symbol" ? target[prop] : () => fakeElement()),
+    set: (target, prop, value) => { target[prop] = value; return true; }
+  });
+}
+
+function loadApp() {
+  const storage = new Map();
+  const context = vm.createContext({
+    console,
+    URL,
+    URLSearchParams,
+    setTimeout: () => 0,
+    clearTimeout: () => {},
+    setInterval: () => 0,
+    clearInterval: () => {},
+    location: { href: "http://localhost/", search: "", hash: "" },
+    navigator: { language: "en" },
+    history: { replaceState() {} },
+    fetch: () => Promise.reject(new Error("offline")),
+    localStorage: {
+      getItem: key => (storage.has(key) ? storage.get(key) : null),
+      setItem: (key, value) => storage.set(key, String(value)),
+      removeItem: key => storage.delete(key)
+    },
+    document: {
+      getElementById: () => fakeElement(),
+      querySelector: () => fakeElement(),
+      querySelectorAll: () => [],
+      createElement: () => fakeElement(),
+      addEventListener() {},
+      documentElement: fakeElement(),
+      body: fakeElement()
+    },
+    getComputedStyle: () => ({ display: "none" }),
+    addEventListener() {}
+  });
+  context.window = context;
+  const scripts = readFileSync(new URL("../index.html", import.meta.url), "utf8")
+    .match(/<script src="[^"]+"/g)
+    .map(tag => tag.slice(13, -1));
+  scripts.forEach((file) => {
+    vm.runInContext(readFileSync(new URL(`../${file}`, import.meta.url), "utf8"), context, { filename: file });
+  });
+  return { context, storage };
+}
+
+const { context, storage } = loadApp();
+const run = code => vm.runInContext(code, context);
+
+test("submitting an attempt twice feeds the mistake deck and history once", () => {
+  run(`
+    bank = {
+      questions: ["q1", "q2", "q3"].map(id => ({
+        id,
+        text: id,
+        choices: [{ label: "A", text: "a" }, { label: "B", text: "b" }],
+        correct_label: "A"
+      }))
+    };
+    attempt = {
+      id: "attempt-1",
+      createdAt: 1,
+      startedAt: Date.now() - 60000,
+      mode: "exam",
+      sourceType: "legacy",
+      questionIds: ["q1", "q2", "q3"],
+      answers: { q1: "A", q2: "B" },
+      submitted: false
+    };
+    finishAttemptForCurrentMode();
+  `);
+  const deckAfterFirst = storage.get("exam_simulator_mistakes_v1");
+  const historyAfterFirst = storage.get("exam_simulator_history_v1");
+  assert.deepEqual(Object.keys(JSON.parse(deckAfterFirst)).sort(), ["q2", "q3"]);
+
+  run(`
+    attempt.answers.q2 = "A";
+    finishAttemptForCurrentMode();
+  `);
+  assert.equal(storage.get("exam_simulator_mistakes_v1"), deckAfterFirst);
+  assert.equal(storage.get("exam_simulator_history_v1"), historyAfterFirst);
+  assert.equal(run("attempt.summary.wrong"), 1);
+});
+
+test("archiving an attempt again keeps its first finish time and duration", () => {
+  const first = JSON.parse(storage.get("exam_simulator_history_v1")).find(entry => entry.id === "attempt-1");
+  run(`
+    attempt.summary = { ...attempt.summary, elapsedSeconds: attempt.summary.elapsedSeconds + 3600 };
+    archiveAttempt(attempt);
+  `);
+  const entries = JSON.parse(storage.get("exam_simulator_history_v1")).filter(entry => entry.id === "attempt-1");
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].finishedAt, first.finishedAt);
+  assert.equal(entries[0].summary.elapsedSeconds, first.summary.elapsedSeconds);
+});
+
+test("imported history entries keep the archived shape", async () => {
+  const archived = JSON.parse(storage.get("exam_simulator_history_v1")).find(entry => entry.id === "attempt-1");
+  const live = {
+    ...archived,
+    id: "attempt-2",
+    finishedAt: archived.finishedAt + 1000,
+    submitted: true,
+    currentIndex: 2,
+    feedback: { scoredQids: [] },
+    activeDwell: { qid: "q1", since: 1 },
+    timeSpentByQid: { q1: 4 }
+  };
+  await run(`importBackup({ format: BACKUP_FORMAT, version: BACKUP_VERSION, data: { history: ${JSON.stringify([live])} } })`);
+  const imported = JSON.parse(storage.get("exam_simulator_history_v1")).find(entry => entry.id === "attempt-2");
+  assert.deepEqual(Object.keys(imported).sort(), Object.keys(archived).sort());
+  assert.equal(imported.finishedAt, live.finishedAt);
+});
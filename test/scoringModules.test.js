@@ -0,0 +1,99 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import vm from "node:vm";
+
+// The browser modules attach themselves to `window`; run them against a stub.
+function loadWindowModules(...files) {
+  const window = {};
+  const context = vm.createContext({ window });
+  files.forEach((file) => {
+    vm.runInContext(readFileSync(new URL(`../${file}`, import.meta.url), "utf8"), context, { filename: file });
+  });
+  return window;
+}
+
+const scoring = loadWindowModules("src/scoring/responseScoring.js", "src/scoring/scaledScore.js");
+const points = loadWindowModules("src/gamification/points.js");
+const aiKey = loadWindowModules("src/bank/aiAnswerKey.js");
+
+test("toLabelList sorts and deduplicates answers", () => {
+  assert.deepEqual([...scoring.toLabelList(["C", "A", "C", ""])], ["A", "C"]);
+  assert.deepEqual([...scoring.toLabelList("B")], ["B"]);
+  assert.deepEqual([...scoring.toLabelList(null)], []);
+});
+
+test("scoreResponse grades single and multiple-response answers", () => {
+  assert.deepEqual({ ...scoring.scoreResponse("B", "B") }, { status: "correct", credit: 1 });
+  assert.deepEqual({ ...scoring.scoreResponse("B", "C", "partial") }, { status: "wrong", credit: 0 });
+  assert.deepEqual({ ...scoring.scoreResponse(["A", "B"], null, "partial") }, { status: "unanswered", credit: 0 });
+  assert.deepEqual({ ...scoring.scoreResponse(["A", "B"], ["B", "A"]) }, { status: "correct", credit: 1 });
+  assert.deepEqual({ ...scoring.scoreResponse(["A", "B"], ["A", "C"]) }, { status: "wrong", credit: 0 });
+});
+
+test("partial credit counts right picks and does not reward leaving boxes empty", () => {
+  assert.equal(scoring.scoreResponse(["A", "B"], ["A", "C"], "partial").credit, 0.5);
+  assert.equal(scoring.scoreResponse(["A", "B"], ["A"], "partial").credit, 0.5);
+  assert.equal(scoring.scoreResponse(["A", "B", "C"], ["A", "B", "D"], "partial").credit, 0.667);
+  // More boxes than the key has earn nothing.
+  assert.equal(scoring.scoreResponse(["A", "B"], ["A", "B", "C"], "partial").credit, 0);
+});
+
+test("computeScaledResult weights partial credit", () => {
+  const model = { minScaled: 100, maxScaled: 500, passScaled: 300, passPercent: 50, domainWeights: {} };
+  const result = scoring.computeScaledResult([
+    { domain: "I", status: "correct" },
+    { domain: "I", status: "wrong", credit: 0.5 },
+    { domain: "I", status: "wrong" },
+    { domain: "I", status: "unanswered", credit: null }
+  ], model);
+  assert.equal(result.percent, 37.5);
+  assert.equal(result.scaled, 250);
+  assert.equal(result.passed, false);
+});
+
+test("normalizeScoringModel keeps only known multiple-response schemes", () => {
+  assert.equal(scoring.normalizeScoringModel({ multipleResponse: "partial" }).multipleResponse, "partial");
+  assert.equal(scoring.normalizeScoringModel({ multipleResponse: "bogus" }).multipleResponse, "all_or_nothing");
+});
+
+test("isValidScoringScale requires min < pass < max and a pass percentage inside 0-100", () => {
+  assert.equal(scoring.isValidScoringScale({ minScaled: "200", maxScaled: "800", passScaled: "500", passPercent: "65" }), true);
+  assert.equal(scoring.isValidScoringScale({ minScaled: 400, maxScaled: 500, passScaled: 300, passPercent: 70 }), false);
+  assert.equal(scoring.isValidScoringScale({ minScaled: 100, maxScaled: 500, passScaled: 300, passPercent: 100 }), false);
+  assert.equal(scoring.normalizeScoringModel({ minScaled: 400, maxScaled: 500, passScaled: 300 }).minScaled, 100);
+});
+
+test("awardPoints gives a share of the base for partial credit and breaks the streak", () => {
+  const attempt = { mode: "feedback", points: 0, streak: 0 };
+  points.awardPoints(attempt, { isCorrect: true, timeTaken: 60, questionId: "1" });
+  assert.equal(points.awardPoints(attempt, { isCorrect: true, timeTaken: 60, questionId: "2" }).awarded, 115);
+  const partial = points.awardPoints(attempt, { isCorrect: false, credit: 0.5, timeTaken: 5, questionId: "3" });
+  assert.equal(partial.awarded, 50);
+  assert.equal(partial.streak, 0);
+  assert.equal(points.awardPoints(attempt, { isCorrect: false, credit: 0.5, skipped: true, questionId: "4" }).awarded, 0);
+});
+
+test("isValidAiItem accepts 2-8 choices and multiple-response keys", () => {
+  const choices = ["a", "b", "c", "d", "e"];
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices: ["a", "b", "c"], correct_index: 2 }), true);
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices, question_type: "multiple", correct_indices: [0, 3] }), true);
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices, question_type: "multiple", correct_indices: [0] }), false);
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices: ["a", "b"], question_type: "multiple", correct_indices: [0, 1] }), false);
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices: ["a"], correct_index: 0 }), false);
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices: Array(9).fill("x"), correct_index: 0 }), false);
+  assert.equal(aiKey.isValidAiItem({ question: "q", choices, correct_index: 5 }), false);
+});
+
+test("toBankAnswerKey labels choices and sets the key fields", () => {
+  const multiple = aiKey.toBankAnswerKey({ choices: ["a", "b", "c", "d", "e"], question_type: "multiple", correct_indices: [3, 0, 3] });
+  assert.equal(multiple.question_type, "multiple");
+  assert.equal(multiple.correct_label, null);
+  assert.deepEqual([...multiple.correct_labels], ["A", "D"]);
+  assert.deepEqual(multiple.choices.filter(choice => choice.is_correct).map(choice => choice.label), ["A", "D"]);
+
+  const single = aiKey.toBankAnswerKey({ choices: ["a", "b", "c"], correct_index: 1 });
+  assert.equal(single.question_type, "single");
+  assert.equal(single.correct_label, "B");
+  assert.equal(single.correct_labels, null);
+});